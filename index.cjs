@@ -13,11 +13,27 @@
  * @example
  * // CJS Usage
  * const argv2object = require('argv2object');
+ * const { ArgvParseError, formatCompletion, formatHelp, object2Argv, parse, parseCommand, safeParse, tokenize } = require('argv2object');
  */
 
 // ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // » IMPORT LOCAL MODULES
 const argv2Object = require('#argv2Object');
+const parseCommand = require('#command');
+const formatCompletion = require('#completion');
+const ArgvParseError = require('#errors');
+const formatHelp = require('#help');
+const object2Argv = require('#object2Argv');
+const parse = require('#parse');
+const tokenize = require('#tokenize');
 
 // ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 module.exports = argv2Object.default;
+module.exports.parse = parse.default;
+module.exports.safeParse = parse.safeParse;
+module.exports.formatHelp = formatHelp.default;
+module.exports.formatCompletion = formatCompletion.default;
+module.exports.parseCommand = parseCommand.default;
+module.exports.object2Argv = object2Argv.default;
+module.exports.tokenize = tokenize.default;
+module.exports.ArgvParseError = ArgvParseError.default;
@@ -12,12 +12,29 @@
  * @since 1.1.0
  * @example
  * // ESM Usage
- * import argv2object from 'argv2object';
+ * import argv2object, { ArgvParseError, formatCompletion, formatHelp, object2Argv, parse, parseCommand, safeParse, tokenize } from 'argv2object';
  */
 
 // ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // » IMPORT LOCAL MODULES
 import argv2Object from '#argv2Object';
+import parseCommand from '#command';
+import formatCompletion from '#completion';
+import ArgvParseError from '#errors';
+import formatHelp from '#help';
+import object2Argv from '#object2Argv';
+import parse, { safeParse } from '#parse';
+import tokenize from '#tokenize';
 
 // ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+export {
+  ArgvParseError,
+  formatCompletion,
+  formatHelp,
+  object2Argv,
+  parse,
+  parseCommand,
+  safeParse,
+  tokenize,
+};
 export default argv2Object;
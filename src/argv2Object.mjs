@@ -24,12 +24,15 @@
  */
 // ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // » IMPORT LOCAL MODULES
-import { COMMAND_LINE_PATTERNS, ERROR_MESSAGES } from '#constants';
-import { createObjectFromArguments } from '#functions';
+import { ERROR_CODES, ERROR_MESSAGES } from '#constants';
+import ArgvParseError from '#errors';
+import { isPlainObject } from '#functions';
+import parse from '#parse';
 
 // ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 /**
- * An `Object` with keys and values corresponding to the provided arguments.
+ * An `Object`, with a `null` prototype, with keys and values corresponding to
+ * the provided arguments.
  *
  * @typedef  {object}         ArgvObject
  * @property {string|boolean} [key=value] - The key-value pairs in the provided arguments.
@@ -45,13 +48,18 @@ import { createObjectFromArguments } from '#functions';
  * The format can be either simple key-value pairs (e.g. "key=value") or
  * Unix-style command-line options (e.g. "-o --option=value").
  *
+ * It is a thin wrapper over `parse()` that reads `process.argv`; use `parse()`
+ * directly to parse an explicit argument list. Any other `parse()` setting,
+ * such as the `keyCase` of the keys, can be given through `options`.
+ *
  * @function
  * @param {boolean} [unixmode] - Whether to parse Unix-style command-line options, the default value is `false`.
+ * @param {import('#constants').ParseOptions} [options] - Other `parse()` settings, a `mode` given here takes precedence over `unixmode`.
  * @returns {ArgvObject} Returns an object with keys and values corresponding to the provided arguments.
- * @throws {TypeError} If `unixmode` is not is not of type `boolean`.
- * @throws {Error} If no arguments are provided from command line.
- * @throws {Error} If `unixmode` is `true` and argument does not follow Unix-style command-line format.
- * @throws {Error} If `unixmode` is `false` and argument does not follow 'key=value' format.
+ * @throws {TypeError} If `unixmode` is not is not of type `boolean`, or `options` is invalid.
+ * @throws {ArgvParseError} If no arguments are provided from command line.
+ * @throws {ArgvParseError} If `unixmode` is `true` and argument does not follow Unix-style command-line format.
+ * @throws {ArgvParseError} If `unixmode` is `false` and argument does not follow 'key=value' format.
  * @example
  * ```js
  * // Command line input: node script.js --task=some-task --execute=true
@@ -59,30 +67,27 @@ import { createObjectFromArguments } from '#functions';
  * const argumentsv = argv2Object();
  * console.log(argumentsv.task); // prints 'some-task'
  * console.log(argumentsv.execute); // prints true
+ *
+ * // Command line input: node script.js --output-format=json
+ *
+ * argv2Object(true, { keyCase: 'camelcase' }); // returns { outputFormat: 'json' }
  * ```
  */
-const argv2Object = (unixmode = false) => {
+const argv2Object = (unixmode = false, options = {}) => {
   if (typeof unixmode !== 'boolean') {
     throw new TypeError(ERROR_MESSAGES.INVALID_UNIXMODE_TYPE);
   }
 
-  const argumentsv = process.argv.slice(2);
-  if (argumentsv.length === 0) {
-    throw new Error(ERROR_MESSAGES.NO_ARGUMENTS);
+  if (!isPlainObject(options)) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_OPTIONS_TYPE);
   }
 
-  const patterns = unixmode
-    ? [COMMAND_LINE_PATTERNS.UNIX_LONG, COMMAND_LINE_PATTERNS.UNIX_SHORT]
-    : [COMMAND_LINE_PATTERNS.SIMPLE];
-
-  const isValid = argumentsv.every(argument => patterns.some(pattern => pattern.test(argument)));
-
-  if (!isValid) {
-    const message = unixmode ? ERROR_MESSAGES.NO_MATCH_UNIXMODE : ERROR_MESSAGES.NO_MATCH_SIMPLE;
-    throw new Error(message);
+  const argumentsv = process.argv.slice(2);
+  if (argumentsv.length === 0) {
+    throw new ArgvParseError(ERROR_CODES.NO_ARGUMENTS, ERROR_MESSAGES.NO_ARGUMENTS);
   }
 
-  return createObjectFromArguments(argumentsv, 'snakecase');
+  return parse(argumentsv, { ...options, mode: options.mode ?? (unixmode ? 'unix' : 'simple') });
 };
 
 // ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -0,0 +1,199 @@
+/**
+ * @file Defines the built-in coercers of the option types that are not plain
+ * JavaScript values.
+ *
+ * A coercer is a function that receives the text of a value and returns the
+ * converted value, or throws when the text is not valid for its type. The
+ * `date`, `url`, `path`, `duration` and `bytes` types are registered here, and
+ * the `types` option of `parse()` adds custom coercers next to them.
+ *
+ * @module coercers
+ * @since 1.2.0
+ *
+ * @example
+ * ```js
+ * COERCERS.duration('1h30m') // returns 5400000
+ * COERCERS.bytes('10MB') // returns 10000000
+ * ```
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+import { resolve } from 'node:path';
+
+// » IMPORT LOCAL MODULES
+import { VALUE_PATTERNS } from '#constants';
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Milliseconds in each unit of a duration.
+ *
+ * @private
+ * @constant {object} DURATION_UNITS
+ */
+const DURATION_UNITS = Object.freeze({
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+});
+
+/**
+ * Bytes in each unit of a size: decimal units are powers of 1000, binary
+ * units (`KiB`, `MiB`, ...) are powers of 1024.
+ *
+ * @private
+ * @constant {object} BYTE_UNITS
+ */
+const BYTE_UNITS = Object.freeze({
+  b: 1,
+  kb: 1000,
+  mb: 1000 ** 2,
+  gb: 1000 ** 3,
+  tb: 1000 ** 4,
+  kib: 1024,
+  mib: 1024 ** 2,
+  gib: 1024 ** 3,
+  tib: 1024 ** 4,
+});
+
+// ━━ FUNCTIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Checks that a value is text, the only input the built-in coercers accept.
+ *
+ * @private
+ * @function requireText
+ * @param {*} value - The value to check.
+ * @returns {string} The same value.
+ * @throws {TypeError} If `value` is not a non-empty string.
+ * @example
+ * ```js
+ * requireText('5s') // returns '5s'
+ * requireText('') // throws TypeError
+ * ```
+ */
+const requireText = value => {
+  if (typeof value !== 'string' || value === '') {
+    throw new TypeError(`Expected a non-empty string, received ${String(value)}`);
+  }
+  return value;
+};
+
+/**
+ * Reads an ISO 8601 date, rejecting days that do not exist in their month
+ * instead of rolling them over into the next one.
+ *
+ * @exports
+ * @private
+ * @function toDate
+ * @param {string} value - The text of the date.
+ * @returns {Date} The date.
+ * @throws {TypeError} If `value` is not a valid ISO 8601 date.
+ * @example
+ * ```js
+ * toDate('2024-05-01') // returns Date 2024-05-01T00:00:00.000Z
+ * toDate('2024-02-30') // throws TypeError
+ * ```
+ */
+const toDate = value => {
+  const [, year, month, day] = VALUE_PATTERNS.ISO_DATE.exec(requireText(value)) ?? [];
+  const date = new Date(value);
+  const lastDay = new Date(Date.UTC(Number(year), Number(month), 0)).getUTCDate();
+
+  if (year === undefined || Number.isNaN(date.getTime()) || Number(day) > lastDay) {
+    throw new TypeError(`Invalid date: ${value}`);
+  }
+
+  return date;
+};
+
+/**
+ * Reads a duration made of one or more amounts with a unit (`ms`, `s`, `m`,
+ * `h`, `d` or `w`). A plain number is read as milliseconds.
+ *
+ * @private
+ * @function toDuration
+ * @param {string} value - The text of the duration.
+ * @returns {number} The duration in milliseconds.
+ * @throws {TypeError} If `value` is not a valid duration.
+ * @example
+ * ```js
+ * toDuration('5s') // returns 5000
+ * toDuration('1h30m') // returns 5400000
+ * toDuration('250') // returns 250
+ * ```
+ */
+const toDuration = value => {
+  const text = requireText(value);
+
+  if (VALUE_PATTERNS.INTEGER.test(text) && !text.startsWith('-')) return Number(text);
+
+  if (!VALUE_PATTERNS.DURATION.test(text)) {
+    throw new TypeError(`Invalid duration: ${text}`);
+  }
+
+  return [...text.matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h|d|w)/g)].reduce(
+    (total, [, amount, unit]) => total + Number(amount) * DURATION_UNITS[unit],
+    0,
+  );
+};
+
+/**
+ * Reads a size given as an amount with an optional, case-insensitive unit.
+ *
+ * @private
+ * @function toBytes
+ * @param {string} value - The text of the size.
+ * @returns {number} The size in bytes.
+ * @throws {TypeError} If `value` is not a valid size or is not a whole number of bytes.
+ * @example
+ * ```js
+ * toBytes('10MB') // returns 10000000
+ * toBytes('1.5KiB') // returns 1536
+ * toBytes('0.5B') // throws TypeError
+ * ```
+ */
+const toBytes = value => {
+  const [, amount, unit = 'b'] = VALUE_PATTERNS.BYTES.exec(requireText(value)) ?? [];
+  const bytes = Number(amount) * BYTE_UNITS[unit.toLowerCase()];
+
+  if (!Number.isSafeInteger(bytes)) {
+    throw new TypeError(`Invalid size: ${value}`);
+  }
+
+  return bytes;
+};
+
+// ━━ MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Built-in coercers, by type name.
+ *
+ * - `date`: an ISO 8601 date, returned as a `Date`.
+ * - `url`: an absolute URL, returned as a `URL`.
+ * - `path`: a file path, returned resolved against the working directory.
+ * - `duration`: a duration such as `5s` or `1h30m`, returned in milliseconds.
+ * - `bytes`: a size such as `10MB` or `1.5GiB`, returned in bytes.
+ *
+ * @exports
+ * @private
+ * @constant COERCERS
+ * @type {object}
+ * @example
+ * ```js
+ * COERCERS.url('https://example.com/api').hostname // returns 'example.com'
+ * COERCERS.path('out') // returns '/current/directory/out'
+ * ```
+ */
+const COERCERS = Object.freeze({
+  date: toDate,
+  url: value => new URL(requireText(value)),
+  path: value => resolve(requireText(value)),
+  duration: toDuration,
+  bytes: toBytes,
+});
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+export { toDate };
+export default COERCERS;
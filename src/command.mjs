@@ -0,0 +1,332 @@
+/**
+ * @file Resolves git-style subcommands from a list of command-line arguments.
+ *
+ * This file defines the `parseCommand` function, which walks a tree of command
+ * definitions (`tool db migrate --dry-run`), resolves the path of command words
+ * and parses the remaining arguments with the options of the command found.
+ * Each command inherits the options of the commands above it, so global
+ * options can be given before or after the command words.
+ *
+ * @module command
+ * @since 1.2.0
+ *
+ * @example
+ * ```js
+ * parseCommand(['db', 'migrate', '--dry-run'], {
+ *   mode: 'unix',
+ *   commands: { db: { commands: { migrate: { boolean: ['dry-run'] } } } },
+ * });
+ * // Returns: { command: ['db', 'migrate'], options: { dry_run: true }, handler: undefined }
+ * ```
+ */
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+import { basename } from 'node:path';
+import { format } from 'node:util';
+
+// » IMPORT LOCAL MODULES
+import { COMPLETION_OPTION, getCompletions, writeCompletions } from '#completion';
+import { ERROR_CODES, ERROR_MESSAGES } from '#constants';
+import ArgvParseError from '#errors';
+import { findClosest, hasKey, isPlainObject, resolveOptions } from '#functions';
+import parse, { findOperand } from '#parse';
+
+// ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Definition of a command: the `parse()` settings of its own options, plus its
+ * subcommands and handler.
+ *
+ * @typedef  {object}   CommandDefinition
+ * @property {object}   [commands]        - Subcommands, by command word.
+ * @property {Function} [handler]         - Function returned when the command is resolved.
+ * @property {string}   [description]     - Text shown for the command in the help text.
+ */
+
+/**
+ * Result of the `parseCommand()` function.
+ *
+ * @typedef  {object}   ParsedCommand
+ * @property {string[]} command       - The command words, from the outermost to the resolved command.
+ * @property {object}   options       - The arguments parsed with the options of the resolved command.
+ * @property {Function} [handler]     - The handler of the resolved command, unless the help text was printed.
+ */
+
+// ━━ FUNCTIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Checks that `commands` is an object of well-formed command definitions.
+ *
+ * @private
+ * @function validateCommands
+ * @param {object} commands - The subcommands of a command.
+ * @returns {object} The same `commands` object.
+ * @throws {TypeError} If `commands` is not an object or a definition is malformed.
+ * @example
+ * ```js
+ * validateCommands({ deploy: { handler: () => {} } }); // passes
+ * validateCommands({ deploy: { handler: 'deploy.js' } }); // throws TypeError
+ * ```
+ */
+const validateCommands = commands => {
+  if (!isPlainObject(commands)) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_COMMANDS);
+  }
+
+  Object.entries(commands).forEach(([name, definition]) => {
+    const isValid =
+      isPlainObject(definition) &&
+      (definition.commands === undefined || isPlainObject(definition.commands)) &&
+      (definition.handler === undefined || typeof definition.handler === 'function') &&
+      (definition.description === undefined || typeof definition.description === 'string');
+
+    if (!isValid) {
+      throw new TypeError(format(ERROR_MESSAGES.INVALID_COMMAND, name));
+    }
+  });
+
+  return commands;
+};
+
+/**
+ * Builds the settings of a subcommand from those of its parent: the options
+ * of the parent are kept, and the `schema`, `alias`, `types`, `boolean` and
+ * `string` settings of both are combined. The positional limits are not inherited.
+ *
+ * @private
+ * @function inheritOptions
+ * @param {import('#constants').ParseOptions} parent - The resolved settings of the parent command.
+ * @param {object} definition - The `parse()` settings of the subcommand.
+ * @returns {import('#constants').ParseOptions} The resolved settings of the subcommand.
+ * @throws {TypeError} If a setting of the subcommand is invalid.
+ * @example
+ * ```js
+ * inheritOptions({ ...settings, boolean: ['verbose'] }, { boolean: ['force'] });
+ * // Returns: { ...settings, boolean: ['verbose', 'force'] }
+ * ```
+ */
+const inheritOptions = (parent, definition) => {
+  const own = resolveOptions(definition);
+  const { minPositionals, maxPositionals, ...inherited } = parent;
+
+  return resolveOptions({
+    ...inherited,
+    ...definition,
+    boolean: [...parent.boolean, ...own.boolean],
+    string: [...parent.string, ...own.string],
+    schema: { ...parent.schema, ...own.schema },
+    alias: { ...parent.alias, ...own.alias },
+    types: { ...parent.types, ...own.types },
+  });
+};
+
+/**
+ * Adds the command words and subcommands of a command to its help settings.
+ *
+ * @private
+ * @function helpFor
+ * @param {boolean|object} help - The `help` setting of the root command.
+ * @param {string[]} path - The command words resolved so far.
+ * @param {object} commands - The subcommands of the current command.
+ * @returns {boolean|object} The `help` setting of the current command.
+ * @example
+ * ```js
+ * helpFor({ name: 'tool' }, ['db'], { migrate: {} });
+ * // Returns: { name: 'tool db', commands: { migrate: {} } }
+ * ```
+ */
+const helpFor = (help, path, commands) => {
+  if (!help) return help;
+
+  const config = help === true ? {} : help;
+  const name = [config.name ?? basename(process.argv[1] ?? 'command'), ...path].join(' ');
+
+  return { ...config, name, commands };
+};
+
+/**
+ * Parses the arguments left once the command words are removed, pointing the
+ * `index` of a parse error back to the position of its argument in the
+ * original `argv`.
+ *
+ * @private
+ * @function parseAt
+ * @param {string[]} argv - The arguments left once the command words are removed.
+ * @param {number[]} positions - The position of each of them in the original `argv`.
+ * @param {import('#constants').ParseOptions} settings - The resolved settings of the command.
+ * @returns {object} The parsed arguments.
+ * @throws {ArgvParseError} If the arguments cannot be parsed.
+ * @example
+ * ```js
+ * parseAt(['--port', 'x'], [1, 2], { ...settings, schema: { port: { type: 'integer' } } });
+ * // Throws an ArgvParseError whose index is 1
+ * ```
+ */
+const parseAt = (argv, positions, settings) => {
+  try {
+    return parse(argv, settings);
+  } catch (error) {
+    if (error instanceof ArgvParseError && error.index !== undefined) {
+      error.index = positions[error.index];
+    }
+    throw error;
+  }
+};
+
+/**
+ * Resolves the subcommand named by the arguments below the command reached
+ * through `path`, or parses the arguments when there is none.
+ *
+ * @private
+ * @function resolveCommand
+ * @param {string[]} argv - The arguments left once the command words of `path` are removed.
+ * @param {import('#constants').ParseOptions} settings - The resolved settings of the current command.
+ * @param {CommandDefinition} current - The subcommands and handler of the current command.
+ * @param {string[]} path - The command words resolved so far.
+ * @param {number[]} positions - The position of each argument of `argv` in the original arguments.
+ * @returns {ParsedCommand} The resolved command words, options and handler.
+ * @throws {ArgvParseError} If an operand names no known command, or a command is missing.
+ * @example
+ * ```js
+ * resolveCommand(['deploy', '--force'], settings, { commands: { deploy: {} } }, [], [0, 1]);
+ * // Returns: { command: ['deploy'], options: { force: true }, handler: undefined }
+ * ```
+ */
+const resolveCommand = (argv, settings, { commands, handler }, path, positions) => {
+  const names = Object.keys(validateCommands(commands));
+  const level = { ...settings, help: helpFor(settings.help, path, commands) };
+  const index = names.length > 0 ? findOperand(argv, level, names) : -1;
+
+  if (index === -1) {
+    const parsed = parseAt(argv, positions, level);
+    const printed = Boolean(level.help) && parsed.help === true;
+
+    if (names.length > 0 && !handler && !printed) {
+      const message = format(ERROR_MESSAGES.MISSING_COMMAND, names.join(', '));
+      throw new ArgvParseError(ERROR_CODES.MISSING_COMMAND, message);
+    }
+
+    return { command: path, options: parsed, handler: printed ? undefined : handler };
+  }
+
+  const word = argv[index];
+
+  if (!hasKey(commands, word)) {
+    const message = format(ERROR_MESSAGES.UNKNOWN_COMMAND, word, names.join(', '));
+    throw new ArgvParseError(ERROR_CODES.UNKNOWN_COMMAND, message, {
+      token: word,
+      index: positions[index],
+      suggestion: findClosest(word, names),
+    });
+  }
+
+  const { commands: children = {}, handler: own, description, ...definition } = commands[word];
+  const without = list => [...list.slice(0, index), ...list.slice(index + 1)];
+
+  return resolveCommand(
+    without(argv),
+    inheritOptions(settings, definition),
+    { commands: children, handler: own },
+    [...path, word],
+    without(positions),
+  );
+};
+
+/**
+ * Answers a completion request: follows the command words typed before the
+ * word being completed down the command tree, then writes the completions of
+ * that word with the options and subcommands of the command reached.
+ *
+ * @private
+ * @function completeCommand
+ * @param {string[]} words - The words typed after the command name, the one being completed last.
+ * @param {import('#constants').ParseOptions} settings - The resolved settings of the current command.
+ * @param {object} commands - The subcommands of the current command.
+ * @param {string[]} path - The command words resolved so far.
+ * @returns {ParsedCommand} The resolved command words, with `{ completions: true }` as options.
+ * @throws {TypeError} If a command definition or setting is invalid.
+ * @example
+ * ```js
+ * completeCommand(['db', 'mi'], settings, { db: { commands: { migrate: {} } } }, []);
+ * // Writes: 'migrate\n'
+ * // Returns: { command: ['db'], options: { completions: true }, handler: undefined }
+ * ```
+ */
+const completeCommand = (words, settings, commands, path) => {
+  const typed = words.slice(0, -1);
+  const names = Object.keys(validateCommands(commands));
+  const index = names.length > 0 ? findOperand(typed, settings, names) : -1;
+  const word = typed[index];
+
+  if (index === -1 || !hasKey(commands, word)) {
+    writeCompletions(settings.completion, getCompletions(words, settings, commands));
+    const options = Object.assign(Object.create(null), { completions: true });
+    return { command: path, options, handler: undefined };
+  }
+
+  const { commands: children = {}, handler, description, ...definition } = commands[word];
+
+  return completeCommand(
+    [...words.slice(0, index), ...words.slice(index + 1)],
+    inheritOptions(settings, definition),
+    children,
+    [...path, word],
+  );
+};
+
+// ━━ MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * The `parseCommand()` function, resolves the subcommand named by the
+ * command-line arguments and parses the rest of them with its options.
+ *
+ * The first operand that is not the value of an option is read as a command
+ * word and removed from the arguments, then the search goes on with the
+ * subcommands of that command, until a command without subcommands is found
+ * or no operand is left. Every command takes the `parse()` settings of its
+ * parent, with the `schema`, `alias`, `boolean` and `string` settings of both
+ * combined, so global options are accepted at any level.
+ *
+ * A command that has subcommands must be followed by one of them, unless it
+ * has a `handler` of its own. When `help` is enabled, the help text of the
+ * resolved command lists its subcommands and no handler is returned. When
+ * `completion` is enabled, a first `--get-completions` argument prints the
+ * shell completions of the last argument instead, and no handler is returned.
+ *
+ * @function
+ * @param {string[]} argv - The arguments to parse, without the node executable and script path.
+ * @param {object} [options] - The `parse()` settings of the global options, plus the `commands` tree.
+ * @returns {ParsedCommand} The resolved command words, options and handler.
+ * @throws {TypeError} If `argv` is not an array of strings, or `options` or a command definition is invalid.
+ * @throws {ArgvParseError} If an operand names no known command, or a command is missing.
+ * @throws {ArgvParseError} If the arguments cannot be parsed with the options of the resolved command.
+ * @example
+ * ```js
+ * const { command, options, handler } = parseCommand(['deploy', '--env=prod', '-v'], {
+ *   mode: 'unix',
+ *   boolean: ['v'],
+ *   commands: { deploy: { schema: { env: { choices: ['dev', 'prod'] } }, handler: deploy } },
+ * });
+ * // command: ['deploy'], options: { env: 'prod', v: true }, handler: deploy
+ * ```
+ */
+const parseCommand = (argv, options = {}) => {
+  if (!Array.isArray(argv) || argv.some(argument => typeof argument !== 'string')) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_ARGV_TYPE);
+  }
+
+  if (!isPlainObject(options)) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_OPTIONS_TYPE);
+  }
+
+  const { commands = {}, handler, ...globals } = options;
+  const settings = resolveOptions(globals);
+
+  if (settings.completion && argv[0] === COMPLETION_OPTION) {
+    return completeCommand(argv.slice(1), settings, commands, []);
+  }
+
+  const positions = argv.map((_, index) => index);
+
+  return resolveCommand(argv, settings, { commands, handler }, [], positions);
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+export default parseCommand;
@@ -0,0 +1,325 @@
+/**
+ * @file Generates shell completion scripts and answers their completion requests.
+ *
+ * The scripts built by `formatCompletion()` for bash, zsh and fish hold no
+ * option names of their own: at tab time they run the command again with a
+ * hidden `--get-completions` first argument followed by the words typed so
+ * far, and offer the lines it prints. `parse()` and `parseCommand()` answer
+ * those requests when their `completion` setting is enabled, with the option
+ * names, aliases, choices and subcommands they know, plus the values returned
+ * by the `complete` function of an option, so dynamic completions are computed
+ * by the command itself.
+ *
+ * @module completion
+ * @since 1.2.0
+ *
+ * @example
+ * ```js
+ * formatCompletion('fish', { name: 'deploy' });
+ * // Returns the fish script that completes the `deploy` command
+ *
+ * getCompletions(['--env', 'p'], { ...settings, schema: { env: { choices: ['dev', 'prod'] } } });
+ * // Returns: [['prod', undefined]]
+ * ```
+ */
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT LOCAL MODULES
+import { COMPLETION_SHELLS, ERROR_MESSAGES, FLAG_TYPES } from '#constants';
+import { isPlainObject } from '#functions';
+import { collectAliases, validateSchema } from '#schema';
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Argument that turns a run of the command into a completion request.
+ *
+ * @exports
+ * @private
+ * @constant {string} COMPLETION_OPTION
+ */
+const COMPLETION_OPTION = '--get-completions';
+
+/**
+ * Builders of the completion script of each shell, by shell name. Each one
+ * receives the command name and a version of it that is safe to use in
+ * function names.
+ *
+ * @private
+ * @constant {object} SCRIPTS
+ */
+const SCRIPTS = Object.freeze({
+  bash: (name, id) => [
+    `# bash completion for ${name}`,
+    `_${id}_completion() {`,
+    `  local line="\${COMP_LINE:0:COMP_POINT}" word`,
+    '  local -a words candidates',
+    '  read -ra words <<< "$line"',
+    '  [[ "$line" =~ [[:space:]]$ ]] && words+=("")',
+    `  word="\${words[\${#words[@]}-1]}"`,
+    "  local IFS=$'\\n'",
+    `  candidates=($(${name} ${COMPLETION_OPTION} "\${words[@]:1}" 2>/dev/null | cut -f1))`,
+    '  if [[ "$word" == *=* && "$COMP_WORDBREAKS" == *=* ]]; then',
+    `    candidates=("\${candidates[@]#"\${word%%=*}="}")`,
+    '  fi',
+    `  [[ \${#candidates[@]} -eq 1 && "\${candidates[0]}" == *= ]] && compopt -o nospace`,
+    `  COMPREPLY=("\${candidates[@]}")`,
+    '}',
+    `complete -o default -F _${id}_completion ${name}`,
+  ],
+  zsh: (name, id) => [
+    `#compdef ${name}`,
+    `_${id}_completion() {`,
+    '  local -a candidates joined',
+    '  local value description entry',
+    "  while IFS=$'\\t' read -r value description; do",
+    `    entry="\${value//:/\\\\:}\${description:+:$description}"`,
+    '    if [[ "$value" == *= ]]; then joined+=("$entry"); else candidates+=("$entry"); fi',
+    `  done < <(${name} ${COMPLETION_OPTION} "\${(@)words[2,CURRENT]}" 2>/dev/null)`,
+    `  if (( \${#candidates} + \${#joined} )); then`,
+    "    _describe 'completions' candidates -- joined -S ''",
+    '  else',
+    '    _files',
+    '  fi',
+    '}',
+    `compdef _${id}_completion ${name}`,
+  ],
+  fish: (name, id) => [
+    `# fish completion for ${name}`,
+    `function __${id}_completion`,
+    '    set -l tokens (commandline -opc)',
+    '    set -e tokens[1]',
+    '    set -l current (commandline -ct)',
+    `    ${name} ${COMPLETION_OPTION} $tokens "$current" 2>/dev/null`,
+    'end',
+    `complete -c ${name} -f -a '(__${id}_completion)'`,
+    `complete -c ${name} -n 'not __${id}_completion | string length -q' -F`,
+  ],
+});
+
+// ━━ FUNCTIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Checks whether an option takes the next argument as its value: it is listed
+ * in `string`, has a type other than a flag, or has no type but offers
+ * `choices` or a `complete` function.
+ *
+ * @private
+ * @function takesValue
+ * @param {string} name - The option name, without dashes.
+ * @param {import('#constants').ParseOptions} settings - The resolved parse settings.
+ * @param {object} [definition] - The definition of the option, if it is declared.
+ * @returns {boolean} `true` if the option takes a value.
+ * @example
+ * ```js
+ * takesValue('env', settings, { choices: ['dev', 'prod'] }) // returns true
+ * takesValue('verbose', settings, { type: 'count' }) // returns false
+ * ```
+ */
+const takesValue = (name, settings, definition) => {
+  if (settings.string.includes(name)) return true;
+  if (settings.boolean.includes(name) || definition === undefined) return false;
+  if (definition.type !== undefined) return !FLAG_TYPES.includes(definition.type);
+  return definition.choices !== undefined || definition.complete !== undefined;
+};
+
+/**
+ * Lists the values offered for an option: its `choices` followed by the
+ * values returned by its `complete` function, keeping those that start with
+ * the text typed so far.
+ *
+ * @private
+ * @function listValues
+ * @param {object} [definition] - The definition of the option, if it is declared.
+ * @param {string} typed - The text of the value typed so far.
+ * @param {string[]} words - Every word typed after the command name.
+ * @returns {string[]} The values.
+ * @example
+ * ```js
+ * listValues({ choices: ['dev', 'prod'] }, 'd', ['--env', 'd']) // returns ['dev']
+ * ```
+ */
+const listValues = (definition, typed, words) => {
+  if (definition === undefined) return [];
+
+  const { choices = [], complete } = definition;
+  const values = [...choices, ...(complete ? complete(typed, words) : [])].map(String);
+
+  return [...new Set(values)].filter(value => value.startsWith(typed));
+};
+
+/**
+ * Lists every name an option can be given with, as `[name, description]`
+ * pairs: the declared options and their aliases, the `boolean` and `string`
+ * options, and `help` when the help text is enabled.
+ *
+ * @private
+ * @function listNames
+ * @param {import('#constants').ParseOptions} settings - The resolved parse settings.
+ * @param {object} schema - A valid schema.
+ * @param {Map<string, string>} aliases - Map of alias names to option names.
+ * @returns {Array<Array<string|undefined>>} The option names, without dashes, and their descriptions.
+ * @example
+ * ```js
+ * listNames(settings, { port: { description: 'Port' } }, new Map([['p', 'port']]));
+ * // Returns: [['port', 'Port'], ['p', 'Port']]
+ * ```
+ */
+const listNames = (settings, schema, aliases) => {
+  const names = [
+    ...Object.entries(schema).map(([name, { description }]) => [name, description]),
+    ...[...aliases].map(([alias, name]) => [alias, schema[name]?.description]),
+    ...[...settings.boolean, ...settings.string].map(name => [name, undefined]),
+  ];
+
+  if (settings.help && !('help' in schema)) names.push(['help', 'Show this help text']);
+
+  const seen = new Set();
+
+  return names.filter(([name]) => !seen.has(name) && seen.add(name));
+};
+
+// ━━ MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Lists the completions of the last of the words typed after the command
+ * name, as `[value, description]` pairs, for one level of a command tree.
+ *
+ * The last word is the one being completed, and may be empty. Right after an
+ * option that takes a value, or after the `=` of an option, the values of the
+ * option are offered. A word that starts with a dash is completed with the
+ * option names in the Unix syntax. Any other word is completed with the
+ * subcommands, and in `simple` and `mixed` mode with the `name=` forms of the
+ * options too.
+ *
+ * @exports
+ * @private
+ * @function getCompletions
+ * @param {string[]} words - The words typed after the command name, the one being completed last.
+ * @param {import('#constants').ParseOptions} settings - The resolved parse settings.
+ * @param {object} [commands] - The subcommands of the command, as given to `parseCommand()`.
+ * @returns {Array<Array<string|undefined>>} The completions and their descriptions.
+ * @throws {TypeError} If the schema or the aliases are invalid.
+ * @example
+ * ```js
+ * getCompletions(['--e'], { ...settings, mode: 'unix', schema: { env: { description: 'Target' } } });
+ * // Returns: [['--env', 'Target']]
+ *
+ * getCompletions(['d'], settings, { deploy: { description: 'Deploys' }, db: {} });
+ * // Returns: [['deploy', 'Deploys'], ['db', undefined]]
+ * ```
+ */
+const getCompletions = (words, settings, commands = {}) => {
+  const schema = validateSchema(settings.schema, settings.types);
+  const aliases = collectAliases(schema, settings.alias);
+  const definitionOf = name => schema[aliases.get(name) ?? name];
+  const unixmode = settings.mode !== 'simple';
+
+  const typed = words[words.length - 1] ?? '';
+  const previous = words[words.length - 2] ?? '';
+  const flag = name => (name.length === 1 ? `-${name}` : `--${name}`);
+  const matching = candidates => candidates.filter(([value]) => value.startsWith(typed));
+
+  const [, option] = /^--?([^-=][^=]*)$/.exec(previous) ?? [];
+
+  if (
+    unixmode &&
+    !typed.startsWith('-') &&
+    option !== undefined &&
+    takesValue(option, settings, definitionOf(option))
+  ) {
+    return listValues(definitionOf(option), typed, words).map(value => [value, undefined]);
+  }
+
+  const separator = typed.indexOf('=');
+  const named = typed.startsWith('--')
+    ? unixmode
+    : !typed.startsWith('-') && settings.mode !== 'unix';
+
+  if (separator !== -1 && named) {
+    const prefix = typed.slice(0, separator + 1);
+    const definition = definitionOf(prefix.slice(0, -1).replace(/^-+/, ''));
+    const values = listValues(definition, typed.slice(separator + 1), words);
+    return values.map(value => [`${prefix}${value}`, undefined]);
+  }
+
+  const names = listNames(settings, schema, aliases);
+
+  if (unixmode && typed.startsWith('-')) {
+    return matching(names.map(([name, description]) => [flag(name), description]));
+  }
+
+  return matching([
+    ...Object.entries(commands).map(([command, { description }]) => [command, description]),
+    ...(settings.mode === 'unix' ? [] : names.map(([name, details]) => [`${name}=`, details])),
+  ]);
+};
+
+/**
+ * Writes completions in the format read by the completion scripts: one per
+ * line, followed by a tab and its description when it has one.
+ *
+ * @exports
+ * @private
+ * @function writeCompletions
+ * @param {boolean|object} completion - The `completion` setting, optionally with a `write` function.
+ * @param {Array<Array<string|undefined>>} completions - The completions and their descriptions.
+ * @returns {void}
+ * @throws {TypeError} If the `write` setting is not a function.
+ * @example
+ * ```js
+ * writeCompletions({ write: console.log }, [['--env', 'Target'], ['--port', undefined]]);
+ * // Writes: '--env\tTarget\n--port\n'
+ * ```
+ */
+const writeCompletions = (completion, completions) => {
+  const { write = text => process.stdout.write(text) } = completion === true ? {} : completion;
+
+  if (typeof write !== 'function') {
+    throw new TypeError(ERROR_MESSAGES.INVALID_COMPLETION);
+  }
+
+  write(
+    completions
+      .map(([value, description]) => (description ? `${value}\t${description}\n` : `${value}\n`))
+      .join(''),
+  );
+};
+
+/**
+ * The `formatCompletion()` function, renders the completion script of a
+ * command for bash, zsh or fish.
+ *
+ * The script asks the command itself for the completions at tab time, so the
+ * command must enable the `completion` setting of `parse()` or
+ * `parseCommand()`. It is a pure function: it returns the script and leaves
+ * printing or installing it to the caller.
+ *
+ * @function
+ * @param {string} shell - The shell to write the script for: `bash`, `zsh` or `fish`.
+ * @param {object} options - The command metadata.
+ * @param {string} options.name - The name the command is run with.
+ * @returns {string} The completion script, with a trailing newline.
+ * @throws {TypeError} If `shell` is not supported, or `name` is not a plain command name.
+ * @example
+ * ```js
+ * // In the command, print the script when asked to:
+ * if (argv[0] === 'completion') process.stdout.write(formatCompletion(argv[1], { name: 'deploy' }));
+ *
+ * // Then, in ~/.bashrc:
+ * // source <(deploy completion bash)
+ * ```
+ */
+const formatCompletion = (shell, options) => {
+  if (!COMPLETION_SHELLS.includes(shell)) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_SHELL);
+  }
+
+  const name = isPlainObject(options) ? options.name : undefined;
+
+  if (typeof name !== 'string' || !/^[\w.-]+$/.test(name)) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_COMMAND_NAME);
+  }
+
+  return `${SCRIPTS[shell](name, name.replace(/\W/g, '_')).join('\n')}\n`;
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+export { COMPLETION_OPTION, getCompletions, writeCompletions };
+export default formatCompletion;
@@ -0,0 +1,351 @@
+/**
+ * @file Module containing the functions that load option values from a config file.
+ *
+ * A config file gives the defaults of a command in one of three formats,
+ * chosen by its name: JSON (`app.json`), dotenv (`.env`, `.env.local`,
+ * `app.env`) or INI (`app.ini`). Every format is read into the same
+ * `[name, value]` pairs the command-line arguments are read into, so the
+ * values go through the same aliases, schema and conversions.
+ *
+ * @module config
+ * @since 1.2.0
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+import { readFileSync } from 'node:fs';
+import { basename, extname } from 'node:path';
+import { format } from 'node:util';
+
+// » IMPORT LOCAL MODULES
+import { ERROR_CODES, ERROR_MESSAGES } from '#constants';
+import ArgvParseError from '#errors';
+import { isPlainObject, readEnvironment, reviveObject } from '#functions';
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * A `KEY=value` line of a dotenv file, optionally preceded by `export`.
+ *
+ * @private
+ * @constant {RegExp} DOTENV_LINE
+ */
+const DOTENV_LINE = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/;
+
+/**
+ * A `[section]` line of an INI file.
+ *
+ * @private
+ * @constant {RegExp} INI_SECTION
+ */
+const INI_SECTION = /^\[([^\]]+)\]$/;
+
+/**
+ * A `key = value` or `key: value` line of an INI file.
+ *
+ * @private
+ * @constant {RegExp} INI_LINE
+ */
+const INI_LINE = /^([^=:\s][^=:]*?)\s*[=:]\s*(.*)$/;
+
+// ━━ FUNCTIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Builds the error thrown for a malformed line of a config file.
+ *
+ * @private
+ * @function syntaxError
+ * @param {string} file - The path of the config file.
+ * @param {number} line - The number of the malformed line, from `1`.
+ * @returns {ArgvParseError} The error to throw.
+ * @example
+ * ```js
+ * syntaxError('app.ini', 3).message // returns 'The "app.ini" config file is malformed at line 3'
+ * ```
+ */
+const syntaxError = (file, line) => {
+  const message = format(ERROR_MESSAGES.CONFIG_SYNTAX, file, line);
+  return new ArgvParseError(ERROR_CODES.CONFIG_SYNTAX, message, { token: file });
+};
+
+/**
+ * Reads the value of a dotenv or INI line: quoted values keep their spaces and
+ * comment characters, unquoted ones end at an inline ` #` or ` ;` comment.
+ *
+ * @private
+ * @function readValue
+ * @param {string} raw - The text after the `=`.
+ * @returns {string|null} The value, or `null` if a quote is not closed.
+ * @example
+ * ```js
+ * readValue('"a # b"') // returns 'a # b'
+ * readValue('debug # verbose') // returns 'debug'
+ * readValue('"open') // returns null
+ * ```
+ */
+const readValue = raw => {
+  const quote = raw[0];
+
+  if (quote === '"' || quote === "'") {
+    const end = raw.lastIndexOf(quote);
+    const trailing = raw.slice(end + 1).trim();
+
+    if (end === 0 || !(trailing === '' || /^[#;]/.test(trailing))) return null;
+
+    const inner = raw.slice(1, end);
+    return quote === '"' ? inner.replace(/\\n/g, '\n').replace(/\\"/g, '"') : inner;
+  }
+
+  return raw.replace(/\s[#;].*$/, '').trim();
+};
+
+/**
+ * Checks whether a text is valid JSON, or the start of valid JSON cut short.
+ *
+ * @private
+ * @function isJsonPrefix
+ * @param {string} prefix - The text to check.
+ * @returns {boolean} `true` if no error shows up before the end of `prefix`.
+ * @example
+ * ```js
+ * isJsonPrefix('{ "a": 1') // returns true
+ * isJsonPrefix('{ "a": }') // returns false
+ * ```
+ */
+const isJsonPrefix = prefix => {
+  try {
+    JSON.parse(prefix);
+    return true;
+  } catch ({ message }) {
+    const [, position] = message.match(/at position (\d+)/) ?? [];
+    return message.includes('end of JSON input') || Number(position) >= prefix.length;
+  }
+};
+
+/**
+ * Finds the line of a JSON syntax error. Not every version of Node.js tells
+ * where the error is, so the longest valid start of the text is searched for.
+ *
+ * @private
+ * @function jsonErrorLine
+ * @param {string} text - The JSON text, known to be malformed.
+ * @returns {number} The number of the line, from `1`.
+ * @example
+ * ```js
+ * jsonErrorLine('{\n  "a": ,\n}') // returns 2
+ * ```
+ */
+const jsonErrorLine = text => {
+  let valid = 0;
+  let invalid = text.length;
+
+  while (invalid - valid > 1) {
+    const middle = Math.floor((valid + invalid) / 2);
+    if (isJsonPrefix(text.slice(0, middle))) valid = middle;
+    else invalid = middle;
+  }
+
+  return text.slice(0, valid).split('\n').length;
+};
+
+/**
+ * Flattens the nested objects of a JSON config into dotted `[name, value]`
+ * pairs. Arrays and other values are kept whole.
+ *
+ * @private
+ * @function flattenObject
+ * @param {object} object - The object to flatten.
+ * @param {string} [prefix] - The dotted name of `object`.
+ * @returns {Array<Array<*>>} The `[name, value]` pairs.
+ * @example
+ * ```js
+ * flattenObject({ db: { host: 'x', port: 5432 }, tags: ['a'] });
+ * // Returns: [['db.host', 'x'], ['db.port', 5432], ['tags', ['a']]]
+ * ```
+ */
+const flattenObject = (object, prefix = '') =>
+  Object.entries(object).flatMap(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    return isPlainObject(value) ? flattenObject(value, name) : [[name, value]];
+  });
+
+/**
+ * Reads a JSON config into `[name, value]` pairs.
+ *
+ * @private
+ * @function parseJson
+ * @param {string} text - The content of the file.
+ * @param {string} file - The path of the file, used in error messages.
+ * @returns {Array<Array<*>>} The `[name, value]` pairs.
+ * @throws {ArgvParseError} If the content is not valid JSON or not an object.
+ * @example
+ * ```js
+ * parseJson('{ "db": { "port": 5432 } }', 'app.json') // returns [['db.port', 5432]]
+ * ```
+ */
+const parseJson = (text, file) => {
+  let object;
+
+  try {
+    object = JSON.parse(text, reviveObject);
+  } catch {
+    throw syntaxError(file, jsonErrorLine(text));
+  }
+
+  if (!isPlainObject(object)) {
+    const message = format(ERROR_MESSAGES.CONFIG_NOT_OBJECT, file);
+    throw new ArgvParseError(ERROR_CODES.CONFIG_NOT_OBJECT, message, { token: file });
+  }
+
+  return flattenObject(object);
+};
+
+/**
+ * Reads a dotenv config into `[name, value]` pairs, naming each variable the
+ * way environment variables are named.
+ *
+ * @private
+ * @function parseDotenv
+ * @param {string} text - The content of the file.
+ * @param {string} file - The path of the file, used in error messages.
+ * @param {string} prefix - The prefix of the variables, empty to read them all.
+ * @returns {Array<Array<string>>} The `[name, value]` pairs.
+ * @throws {ArgvParseError} If a line is not a comment nor a `KEY=value` assignment.
+ * @example
+ * ```js
+ * parseDotenv('# Logging\nLOG_LEVEL=debug', '.env', '') // returns [['log-level', 'debug']]
+ * ```
+ */
+const parseDotenv = (text, file, prefix) => {
+  const variables = text.split(/\r?\n/).flatMap((raw, index) => {
+    const line = raw.trim();
+    if (line === '' || line.startsWith('#')) return [];
+
+    const [, variable, rest] = line.match(DOTENV_LINE) ?? [];
+    const value = variable === undefined ? null : readValue(rest);
+    if (value === null) throw syntaxError(file, index + 1);
+
+    return [[variable, value]];
+  });
+
+  return readEnvironment({ prefix, source: Object.fromEntries(variables) });
+};
+
+/**
+ * Reads an INI config into `[name, value]` pairs, the keys of a `[section]`
+ * being nested in it.
+ *
+ * @private
+ * @function parseIni
+ * @param {string} text - The content of the file.
+ * @param {string} file - The path of the file, used in error messages.
+ * @returns {Array<Array<string>>} The `[name, value]` pairs.
+ * @throws {ArgvParseError} If a line is not a comment, a section or a `key = value` assignment.
+ * @example
+ * ```js
+ * parseIni('debug = true\n[db]\nhost = localhost', 'app.ini');
+ * // Returns: [['debug', 'true'], ['db.host', 'localhost']]
+ * ```
+ */
+const parseIni = (text, file) => {
+  let section = '';
+
+  return text.split(/\r?\n/).flatMap((raw, index) => {
+    const line = raw.trim();
+    if (line === '' || line.startsWith('#') || line.startsWith(';')) return [];
+
+    const [, header] = line.match(INI_SECTION) ?? [];
+
+    if (header) {
+      section = header.trim();
+      return [];
+    }
+
+    const [, key, rest] = line.match(INI_LINE) ?? [];
+    const value = key === undefined ? null : readValue(rest);
+    if (value === null) throw syntaxError(file, index + 1);
+
+    return [[section ? `${section}.${key}` : key, value]];
+  });
+};
+
+/**
+ * Picks the parser of a config file from its name.
+ *
+ * @private
+ * @function parserFor
+ * @param {string} file - The path of the file.
+ * @param {object} [origin] - The `index` of the argument that named the file, used in errors.
+ * @returns {Function} The parser, called with the content, the path and the dotenv prefix.
+ * @throws {ArgvParseError} If the format of the file is not supported.
+ * @example
+ * ```js
+ * parserFor('app.ini') // returns parseIni
+ * parserFor('.env.local') // returns parseDotenv
+ * ```
+ */
+const parserFor = (file, origin) => {
+  const name = basename(file);
+  const extension = extname(name);
+
+  if (extension === '.json') return parseJson;
+  if (extension === '.ini') return parseIni;
+  if (extension === '.env' || name === '.env' || name.startsWith('.env.')) return parseDotenv;
+
+  const message = format(ERROR_MESSAGES.CONFIG_UNSUPPORTED, file);
+  throw new ArgvParseError(ERROR_CODES.CONFIG_UNSUPPORTED, message, { ...origin, token: file });
+};
+
+// ━━ MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Loads the `[name, value]` pairs of the config file named by the `config`
+ * option of the arguments, or of the default config file. The path of the
+ * file is kept as the `token` of each pair, for error reporting.
+ *
+ * The file given through the option must exist, while a missing default file
+ * is skipped. Giving `false` to the option (`--no-config`) skips both.
+ *
+ * @private
+ * @function loadConfig
+ * @param {string|object|false} config - The `config` setting of `parse()`.
+ * @param {Array<Array<*>>} entries - The `[name, value, origin]` triples given through the arguments and the environment.
+ * @param {string} [prefix] - The prefix of the variables of a dotenv file.
+ * @returns {Array<Array<*>>} The `[name, value, origin]` triples of the config file, empty when there is none.
+ * @throws {ArgvParseError} If the config file cannot be read, its format is not supported, or its content is malformed.
+ * @example
+ * ```js
+ * loadConfig('config', [['config', 'app.json']]);
+ * // Returns the triples read from app.json, e.g. [['db.host', 'localhost', { token: 'app.json' }]]
+ * ```
+ */
+const loadConfig = (config, entries, prefix = '') => {
+  if (!config) return [];
+
+  const settings = typeof config === 'string' ? { option: config } : config;
+  const { option = 'config', path, read = file => readFileSync(file, 'utf8') } = settings;
+  const given = entries.filter(([name]) => name === option).pop();
+
+  const origin = given?.[2];
+
+  if (given && given[1] === undefined) {
+    const message = format(ERROR_MESSAGES.MISSING_OPTION_VALUE, option);
+    throw new ArgvParseError(ERROR_CODES.MISSING_VALUE, message, origin);
+  }
+
+  const file = given ? given[1] : path;
+  if (typeof file !== 'string') return [];
+
+  const parser = parserFor(file, origin);
+  let text;
+
+  try {
+    text = read(file);
+  } catch (error) {
+    if (!given && error?.code === 'ENOENT') return [];
+    const message = format(ERROR_MESSAGES.CONFIG_NOT_READABLE, file);
+    throw new ArgvParseError(ERROR_CODES.CONFIG_NOT_READABLE, message, { ...origin, token: file });
+  }
+
+  return parser(text, file, prefix).map(([name, value]) => [name, value, { token: file }]);
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+export default loadConfig;
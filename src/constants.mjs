@@ -15,9 +15,22 @@
  * Type definition for command line argument patterns.
  *
  * @typedef  {object} CommandLinePatterns
- * @property {RegExp} UNIX_SHORT          - Matches short Unix flags: `-a`, `-v`, `-f=value`.
- * @property {RegExp} UNIX_LONG           - Matches long Unix flags: `--help`, `--output=json`.
- * @property {RegExp} SIMPLE              - Pattern for simple key=value arguments: key=value, multi-part-key=value.
+ * @property {RegExp} UNIX_SHORT          - Matches short Unix flags: `-a`, `-abc`, `-f=value`, `-ofile`.
+ * @property {RegExp} UNIX_LONG           - Matches long Unix flags: `--help`, `--output=json`, `--db.host=x`.
+ * @property {RegExp} SIMPLE              - Pattern for simple key=value arguments: key=value, multi-part-key=value, snake_key=value, db.host=x.
+ * @property {RegExp} UNIX_NEGATED        - Matches negated long Unix flags: `--no-color`, `--no-cache`.
+ */
+
+/**
+ * Type definition for the patterns of the values converted from text.
+ *
+ * @typedef  {object} ValuePatterns
+ * @property {RegExp} NUMBER        - Decimal numbers: `42`, `-1.5`, `.5`, `1e3`, but not `12abc`, `0x1F` or `1_000`.
+ * @property {RegExp} INTEGER       - Decimal integers without exponent: `42`, `-7`, `007`.
+ * @property {RegExp} ISO_DATE      - ISO 8601 dates: `2024-05-01`, `2024-05-01T10:30:00Z`.
+ * @property {RegExp} DURATION      - Durations, one or more amounts with a unit: `5s`, `1h30m`, `250ms`.
+ * @property {RegExp} BYTES         - Sizes, an amount with an optional unit: `512`, `10MB`, `1.5GiB`.
+ * @property {RegExp} JSON          - Values that look like a JSON object or array: `{"a":1}`, `[1,2]`.
  */
 
 /**
@@ -25,14 +38,172 @@
  *
  * @typedef  {object} ErrorMessages
  * @property {string} INVALID_UNIXMODE_TYPE - When unixmode parameter is not boolean.
+ * @property {string} INVALID_ARGV_TYPE     - When argv parameter is not an array of strings.
+ * @property {string} INVALID_OPTIONS_TYPE  - When options parameter is not a plain object.
+ * @property {string} INVALID_OBJECT_TYPE   - When the object to serialize is not a plain object.
+ * @property {string} INVALID_MODE          - When mode option is not a supported parse mode.
+ * @property {string} INVALID_DIALECTS      - When dialects option is not a list of dialect names or definitions.
+ * @property {string} INVALID_KEY_CASE      - When keyCase option is neither a supported casing nor a function.
+ * @property {string} INVALID_KEY_PATTERN   - When keyPattern option is not a regular expression.
+ * @property {string} INVALID_KEY_CHARACTER - When an option name has a character the key grammar does not allow.
+ * @property {string} INVALID_KEY_RESULT    - When a keyCase function does not return a non-empty string.
+ * @property {string} KEY_COLLISION         - When two different options map to the same key.
+ * @property {string} INVALID_INDEX         - When an array index skips the next free index of the array.
+ * @property {string} RESERVED_KEY          - When an option maps to a key reserved for non-option arguments.
+ * @property {string} UNSAFE_KEY            - When a key could alter `Object.prototype`.
+ * @property {string} INVALID_COERCE_TYPE   - When coerce option is neither boolean nor an object of coercion settings.
+ * @property {string} INVALID_TYPES         - When types option is not a map of custom type names to coercers.
+ * @property {string} INVALID_STRICT_TYPE   - When strict option is not boolean.
+ * @property {string} INVALID_BOOLEAN_TYPE  - When boolean option is not an array of strings.
+ * @property {string} INVALID_STRING_TYPE   - When string option is not an array of strings.
+ * @property {string} INVALID_POSITIONALS   - When minPositionals/maxPositionals are not a valid range.
+ * @property {string} INVALID_NEGATE_TYPE   - When negate option is not boolean.
+ * @property {string} INVALID_QUOTE_TYPE    - When quote option is not boolean.
+ * @property {string} INVALID_DUPLICATES    - When duplicates option is not a policy or a map of policies.
+ * @property {string} INVALID_DELIMITER     - When delimiter option is not a non-empty string.
+ * @property {string} INVALID_UNKNOWN       - When unknown option is not a supported policy.
+ * @property {string} DUPLICATE_OPTION      - When an option with the `error` duplicates policy is repeated.
+ * @property {string} CONFLICTING_KEY_PATH  - When a key is used both as a value and as a nested object.
+ * @property {string} INVALID_SCHEMA        - When schema option is not an object of definitions.
+ * @property {string} INVALID_DEFINITION    - When an option definition in the schema is malformed.
+ * @property {string} MISSING_OPTION_VALUE  - When an option that requires a value is given without one.
+ * @property {string} INVALID_OPTION_VALUE  - When a value cannot be converted to the declared type.
+ * @property {string} INVALID_JSON          - When a value that looks like JSON is malformed.
+ * @property {string} MISSING_REQUIRED      - When a required option is not provided.
+ * @property {string} INVALID_CHOICE        - When a value is not one of the declared choices.
+ * @property {string} VALIDATION_FAILED     - When a custom validator rejects a value.
+ * @property {string} INVALID_ALIAS         - When alias option is not a map of alias names to option names.
+ * @property {string} DUPLICATE_ALIAS       - When an alias is assigned to more than one option.
+ * @property {string} INVALID_MIRROR_TYPE   - When mirrorAliases option is not boolean.
+ * @property {string} CONFLICTING_ALIAS     - When an option and its alias receive different values.
+ * @property {string} INVALID_HELP          - When help option is neither boolean nor an object of help settings.
+ * @property {string} INVALID_HELP_WIDTH    - When the help width is not a positive integer.
+ * @property {string} INVALID_COMPLETION    - When completion option is neither boolean nor an object with a write function.
+ * @property {string} INVALID_SHELL         - When a completion script is requested for an unsupported shell.
+ * @property {string} INVALID_COMMAND_NAME  - When the command name of a completion script is not a plain command name.
+ * @property {string} INVALID_ENV           - When env option is neither a prefix nor an object with a prefix.
+ * @property {string} INVALID_CONFIG        - When config option is neither an option name nor an object of config settings.
+ * @property {string} CONFIG_NOT_READABLE   - When a config file cannot be read.
+ * @property {string} CONFIG_UNSUPPORTED    - When a config file is not JSON, dotenv or INI.
+ * @property {string} CONFIG_SYNTAX         - When a line of a config file is malformed.
+ * @property {string} CONFIG_NOT_OBJECT     - When a JSON config file does not contain an object.
+ * @property {string} INVALID_COMMANDS      - When commands option is not an object of command definitions.
+ * @property {string} INVALID_COMMAND       - When a command definition is malformed.
+ * @property {string} UNKNOWN_COMMAND       - When an operand names no known command.
+ * @property {string} MISSING_COMMAND       - When a command is expected but none is given.
  * @property {string} NO_ARGUMENTS          - When no arguments are provided.
  * @property {string} NO_MATCH_SIMPLE       - When simple args don't match key=value format.
  * @property {string} NO_MATCH_UNIXMODE     - When args don't match Unix-style format.
+ * @property {string} NO_MATCH_MIXED        - When args match neither key=value nor Unix-style format.
+ * @property {string} UNKNOWN_OPTION        - When an option is not declared and unknown options are rejected.
+ * @property {string} TOO_FEW_POSITIONALS   - When fewer positional arguments than minPositionals are given.
+ * @property {string} TOO_MANY_POSITIONALS  - When more positional arguments than maxPositionals are given.
+ * @property {string} INVALID_LINE_TYPE     - When the line to tokenize is not a string.
+ * @property {string} UNTERMINATED_QUOTE    - When a quote of the line to tokenize is not closed.
+ * @property {string} UNTERMINATED_ESCAPE   - When the line to tokenize ends with a backslash.
+ */
+
+/**
+ * Settings accepted by the `parse()` function.
+ *
+ * @typedef  {object}               ParseOptions
+ * @property {string}               [mode]           - Syntax of the arguments: `simple` (`key=value`), `unix` (`--key value`) or `mixed` (both), `simple` by default.
+ * @property {Array<string|object>} [dialects]       - Extra syntaxes accepted whatever the mode: `windows` (`/out:file`), `java` (`-Dprop=value`) or `{ pattern, read }` objects.
+ * @property {string|Function}      [keyCase]        - Casing applied to keys (`snakecase`, `camelcase`, `kebabcase`, `pascalcase`, `constantcase`, `none`) or a function that formats each key, `snakecase` by default.
+ * @property {RegExp}               [keyPattern]     - Grammar of a key segment, without anchors, letters then letters, digits, `_` and single `-` by default.
+ * @property {boolean|object}       [coerce]         - Whether values are converted to JavaScript types, or an object that also enables the `bigint`, `nullish`, `dates` and `json` conversions.
+ * @property {boolean}              [strict]         - Whether malformed arguments throw instead of being skipped.
+ * @property {string[]}             [boolean]        - Unix options that are flags and never consume the next argument.
+ * @property {string[]}             [string]         - Unix options that take a value, the rest of a short cluster included.
+ * @property {number}               [minPositionals] - Minimum number of positional arguments, `0` by default.
+ * @property {number}               [maxPositionals] - Maximum number of positional arguments, `Infinity` by default.
+ * @property {boolean}              [negate]         - Whether `--no-name` sets `name` to `false`, `true` by default.
+ * @property {string|object}        [duplicates]     - Policy for repeated options (`last`, `first`, `error`, `array`), or a map of option names to policies.
+ * @property {string|null}          [delimiter]      - Separator used to split the values of `array` options.
+ * @property {string}               [unknown]        - Policy for options that are not declared (`keep`, `strict`, `strip`, `passthrough`), `keep` by default.
+ * @property {object}               [types]          - Custom coercers, by type name, usable as the `type` or `items` of an option.
+ * @property {object}               [schema]         - `OptionDefinition` of each known option, by option name.
+ * @property {object}               [alias]          - Map of alias names to the option names they stand for.
+ * @property {boolean}              [mirrorAliases]  - Whether values are also copied under every alias, `false` by default.
+ * @property {boolean|object}       [help]           - Whether `--help`/`-h` prints the help text and stops parsing, or the `formatHelp()` settings plus a `write` function.
+ * @property {boolean|object}       [completion]     - Whether a first `--get-completions` argument prints the shell completions of the other arguments, or an object with a `write` function.
+ * @property {string|object|false}  [env]            - Prefix of the environment variables read as fallback values, or an object with the `prefix` and the `source` variables.
+ * @property {string|object|false}  [config]         - Name of the option that gives the config file, or an object with the `option`, the default `path` and a `read` function.
+ */
+
+/**
+ * Declaration of a single option in the `schema` setting.
+ *
+ * @typedef  {object}          OptionDefinition
+ * @property {string}          [type]           - `string`, `number`, `integer`, `boolean`, `array`, `count`, `date`, `url`, `path`, `duration`, `bytes` or a custom type, guessed when omitted.
+ * @property {string}          [items]          - Type of the elements of an `array` option.
+ * @property {string|string[]} [alias]          - Other names of the option, e.g. `h` for `help`.
+ * @property {*}               [default]        - Value used when the option is not provided.
+ * @property {boolean}         [required]       - Whether the option must be provided.
+ * @property {Array<*>}        [choices]        - Allowed values.
+ * @property {Function}        [validate]       - Returns `true` when the value is valid, or an error message.
+ * @property {boolean}         [raw]            - Whether the value is kept exactly as given, without any conversion.
+ * @property {string}          [description]    - Text shown for the option in the help text.
+ * @property {Function}        [complete]       - Returns the values offered for the option when completing it in a shell.
+ */
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Default grammar of a key segment, the part of an option name between dots.
+ *
+ * A segment starts with a letter, goes on with letters, digits and
+ * underscores, and may be split into words by single hyphens. Letters and
+ * digits of any script are accepted, so `retry2`, `max_size`, `http2` and
+ * `año` are valid keys, while `2fa`, `-name` and `dry--run` are not.
+ *
+ * @exports
+ * @private
+ * @constant KEY_PATTERN
+ * @type {RegExp}
+ * @example
+ * ```js
+ * new RegExp(`^(?:${KEY_PATTERN.source})$`, 'u').test('max_size') // true
+ * ```
  */
+const KEY_PATTERN = /\p{L}[\p{L}\p{N}_]*(?:-[\p{L}\p{N}_]+)*/u;
+
+// ━━ FUNCTIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Builds the patterns of the argument formats from the grammar of a key
+ * segment. A key is one or more segments joined by dots, each of them
+ * followed by any number of `[n]` array indices.
+ *
+ * The flags of `keyPattern` are kept, but for `g` and `y`, so a segment
+ * grammar that uses Unicode property escapes must carry the `u` flag.
+ *
+ * @exports
+ * @private
+ * @function createCommandLinePatterns
+ * @param {RegExp} keyPattern - Matches one key segment, without anchors.
+ * @returns {CommandLinePatterns} The patterns of the argument formats.
+ * @example
+ * ```js
+ * createCommandLinePatterns(/[a-z][a-z0-9]{0,15}/).SIMPLE.test('retry2=3') // true
+ * createCommandLinePatterns(/[a-z]+/).SIMPLE.test('retry2=3') // false
+ * ```
+ */
+const createCommandLinePatterns = keyPattern => {
+  const segment = `(?:${keyPattern.source})`;
+  const key = `${segment}(?:\\[\\d+\\])*(?:\\.${segment}(?:\\[\\d+\\])*)*`;
+  const flags = keyPattern.flags.replace(/[gy]/g, '');
+
+  return {
+    UNIX_SHORT: /^-[a-zA-Z].*$/,
+    UNIX_LONG: new RegExp(`^--${key}(=.*)?$`, flags),
+    SIMPLE: new RegExp(`^${key}=.*$`, flags),
+    UNIX_NEGATED: new RegExp(`^--no-${segment}(?:\\.${segment})*$`, flags),
+  };
+};
 
 // ━━ MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 /**
- * Regular expression patterns for validating command line argument formats.
+ * Regular expression patterns for validating command line argument formats,
+ * built from the default key grammar of `KEY_PATTERN`.
  *
  * Provides comprehensive pattern matching for different command line argument
  * styles commonly used in Node.js applications and CLI tools.
@@ -44,14 +215,15 @@
  *
  * @example
  * ```js
- * // Valid short flags:
+ * // Valid short flags (clusters are checked letter by letter when expanded):
  * COMMAND_LINE_PATTERNS.UNIX_SHORT.test('-h')    // true
- * COMMAND_LINE_PATTERNS.UNIX_SHORT.test('-v')    // true
+ * COMMAND_LINE_PATTERNS.UNIX_SHORT.test('-abc')  // true
  * COMMAND_LINE_PATTERNS.UNIX_SHORT.test('-f=json') // true
+ * COMMAND_LINE_PATTERNS.UNIX_SHORT.test('-n5')   // true
  *
  * // Invalid short flags:
  * COMMAND_LINE_PATTERNS.UNIX_SHORT.test('--help') // false
- * COMMAND_LINE_PATTERNS.UNIX_SHORT.test('-abc')   // false
+ * COMMAND_LINE_PATTERNS.UNIX_SHORT.test('-5')     // false
  * ```
  *
  * @example
@@ -60,10 +232,15 @@
  * COMMAND_LINE_PATTERNS.UNIX_LONG.test('--help')        // true
  * COMMAND_LINE_PATTERNS.UNIX_LONG.test('--output=json') // true
  * COMMAND_LINE_PATTERNS.UNIX_LONG.test('--dry-run')     // true
+ * COMMAND_LINE_PATTERNS.UNIX_LONG.test('--dry_run')     // true
+ * COMMAND_LINE_PATTERNS.UNIX_LONG.test('--http2')       // true
+ * COMMAND_LINE_PATTERNS.UNIX_LONG.test('--db.host=x')   // true
+ * COMMAND_LINE_PATTERNS.UNIX_LONG.test('--servers[0].name=a') // true
  *
  * // Invalid long flags:
  * COMMAND_LINE_PATTERNS.UNIX_LONG.test('-h')           // false
  * COMMAND_LINE_PATTERNS.UNIX_LONG.test('--123')        // false
+ * COMMAND_LINE_PATTERNS.UNIX_LONG.test('--db..host')    // false
  * ```
  *
  * @example
@@ -71,17 +248,58 @@
  * // Valid simple arguments:
  * COMMAND_LINE_PATTERNS.SIMPLE.test('output=json')          // true
  * COMMAND_LINE_PATTERNS.SIMPLE.test('config-file=settings') // true
+ * COMMAND_LINE_PATTERNS.SIMPLE.test('db.port=5432')         // true
+ * COMMAND_LINE_PATTERNS.SIMPLE.test('retry2=3')             // true
+ * COMMAND_LINE_PATTERNS.SIMPLE.test('max_size=10')          // true
+ * COMMAND_LINE_PATTERNS.SIMPLE.test('año=2024')             // true
  *
  * // Invalid simple arguments:
  * COMMAND_LINE_PATTERNS.SIMPLE.test('--output=json')        // false
  * COMMAND_LINE_PATTERNS.SIMPLE.test('output')               // false
+ * COMMAND_LINE_PATTERNS.SIMPLE.test('2fa=on')               // false
+ * ```
+ *
+ * @example
+ * ```js
+ * // Valid negated flags:
+ * COMMAND_LINE_PATTERNS.UNIX_NEGATED.test('--no-color')       // true
+ *
+ * // Invalid negated flags:
+ * COMMAND_LINE_PATTERNS.UNIX_NEGATED.test('--no-color=false') // false
+ * COMMAND_LINE_PATTERNS.UNIX_NEGATED.test('--nocolor')        // false
  * ```
  */
-const COMMAND_LINE_PATTERNS = {
-  UNIX_SHORT: /^-[a-zA-Z](=.*)?$/,
-  UNIX_LONG: /^--[a-zA-Z][a-zA-Z0-9-]*(=.*)?$/,
-  SIMPLE: /^[a-zA-Z]+(?:-[a-zA-Z]+)*=.*$/,
-};
+const COMMAND_LINE_PATTERNS = createCommandLinePatterns(KEY_PATTERN);
+
+/**
+ * Regular expression patterns for the values converted from text.
+ *
+ * The number patterns only accept plain decimal notation, so values such as
+ * `12abc`, `0x1F`, `1_000` or `Infinity` are never mistaken for numbers.
+ *
+ * @exports
+ * @private
+ * @constant VALUE_PATTERNS
+ * @type {ValuePatterns}
+ * @example
+ * ```js
+ * VALUE_PATTERNS.NUMBER.test('1e3')        // true
+ * VALUE_PATTERNS.NUMBER.test('0x1F')       // false
+ * VALUE_PATTERNS.ISO_DATE.test('2024-05-01') // true
+ * VALUE_PATTERNS.DURATION.test('1h30m')    // true
+ * VALUE_PATTERNS.BYTES.test('10MB')        // true
+ * VALUE_PATTERNS.JSON.test('[1,2]')        // true
+ * ```
+ */
+const VALUE_PATTERNS = Object.freeze({
+  NUMBER: /^-?(?:\d+(?:\.\d+)?|\.\d+)(?:[eE][-+]?\d+)?$/,
+  INTEGER: /^-?\d+$/,
+  ISO_DATE:
+    /^(\d{4})-(\d{2})-(\d{2})(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?(?:Z|[+-]\d{2}:\d{2})?)?$/,
+  DURATION: /^(?:\d+(?:\.\d+)?(?:ms|s|m|h|d|w))+$/,
+  BYTES: /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb|kib|mib|gib|tib)?$/i,
+  JSON: /^\s*(?:\{[\s\S]*\}|\[[\s\S]*\])\s*$/,
+});
 
 /**
  * Standardized error messages for consistent validation feedback.
@@ -99,17 +317,381 @@ const COMMAND_LINE_PATTERNS = {
  */
 const ERROR_MESSAGES = {
   INVALID_UNIXMODE_TYPE: 'The "unixmode" parameter must be a boolean value',
+  INVALID_ARGV_TYPE: 'The "argv" parameter must be an array of strings',
+  INVALID_OPTIONS_TYPE: 'The "options" parameter must be an object',
+  INVALID_OBJECT_TYPE: 'The "object" parameter must be an object',
+  INVALID_MODE: 'The "mode" option must be one of: simple, unix, mixed',
+  INVALID_DIALECTS:
+    'The "dialects" option must be an array of dialect names (windows, java) or { pattern, read } objects',
+  INVALID_KEY_CASE:
+    'The "keyCase" option must be one of: snakecase, camelcase, kebabcase, pascalcase, constantcase, none, or a function',
+  INVALID_KEY_RESULT: 'The "keyCase" function must return a non-empty string',
+  INVALID_KEY_PATTERN: 'The "keyPattern" option must be a regular expression',
+  INVALID_KEY_CHARACTER: 'The "%s" key has an invalid character "%s" at position %d',
+  KEY_COLLISION: 'The "%s" and "%s" options both map to the "%s" key',
+  INVALID_INDEX: 'The "%s" option uses index %d where the next index is %d',
+  RESERVED_KEY: 'The "%s" option maps to the "%s" key, which is reserved',
+  UNSAFE_KEY: 'The "%s" option uses the reserved "%s" key',
+  INVALID_COERCE_TYPE:
+    'The "coerce" option must be a boolean or an object with the boolean "bigint", "nullish", "dates" and "json" settings',
+  INVALID_TYPES:
+    'The "types" option must map type names other than string, number, integer, boolean, array and count to functions',
+  INVALID_STRICT_TYPE: 'The "strict" option must be a boolean value',
+  INVALID_BOOLEAN_TYPE: 'The "boolean" option must be an array of option names',
+  INVALID_STRING_TYPE: 'The "string" option must be an array of option names',
+  INVALID_NEGATE_TYPE: 'The "negate" option must be a boolean value',
+  INVALID_QUOTE_TYPE: 'The "quote" option must be a boolean value',
+  INVALID_DUPLICATES:
+    'The "duplicates" option must be one of: last, first, error, array, or a map of option names to them',
+  INVALID_DELIMITER: 'The "delimiter" option must be a non-empty string',
+  INVALID_UNKNOWN: 'The "unknown" option must be one of: keep, strict, strip, passthrough',
+  INVALID_POSITIONALS:
+    'The "minPositionals" and "maxPositionals" options must be non-negative integers, min <= max',
+  DUPLICATE_OPTION: 'The "%s" option may only be provided once',
+  CONFLICTING_KEY_PATH: 'The "%s" option cannot use "%s" both as a value and as a nested object',
+  INVALID_SCHEMA: 'The "schema" option must be an object of option definitions',
+  INVALID_DEFINITION: 'The definition of the "%s" option in "schema" is invalid',
+  MISSING_OPTION_VALUE: 'The "%s" option requires a value',
+  INVALID_OPTION_VALUE: 'The "%s" option expects a value of type "%s", received "%s"',
+  INVALID_JSON: 'The "%s" option received malformed JSON: %s',
+  MISSING_REQUIRED: 'The "%s" option is required',
+  INVALID_CHOICE: 'The "%s" option must be one of: %s',
+  VALIDATION_FAILED: 'The "%s" option received an invalid value',
+  INVALID_ALIAS: 'The "alias" option must map alias names to option names',
+  DUPLICATE_ALIAS: 'The "%s" alias is assigned to more than one option',
+  INVALID_MIRROR_TYPE: 'The "mirrorAliases" option must be a boolean value',
+  CONFLICTING_ALIAS: 'The "%s" option received conflicting values through its aliases',
+  INVALID_HELP: 'The "help" option must be a boolean or an object of help settings',
+  INVALID_HELP_WIDTH: 'The help "width" must be a positive integer',
+  INVALID_COMPLETION:
+    'The "completion" option must be a boolean or an object with a "write" function',
+  INVALID_SHELL: 'The "shell" parameter must be one of: bash, zsh, fish',
+  INVALID_COMMAND_NAME:
+    'The completion "name" must be a command name made of letters, digits, ".", "_" and "-"',
+  INVALID_ENV: 'The "env" option must be a prefix or an object with a "prefix" and a "source"',
+  INVALID_CONFIG:
+    'The "config" option must be an option name or an object with an "option", a "path" and a "read" function',
+  CONFIG_NOT_READABLE: 'The "%s" config file cannot be read',
+  CONFIG_UNSUPPORTED: 'The "%s" config file must be a JSON, .env or INI file',
+  CONFIG_SYNTAX: 'The "%s" config file is malformed at line %d',
+  CONFIG_NOT_OBJECT: 'The "%s" config file must contain an object',
+  INVALID_COMMANDS: 'The "commands" option must be an object of command definitions',
+  INVALID_COMMAND: 'The definition of the "%s" command is invalid',
+  UNKNOWN_COMMAND: 'Unknown command "%s", expected one of: %s',
+  MISSING_COMMAND: 'A command is required, expected one of: %s',
   NO_ARGUMENTS: 'No command-line arguments were provided',
   NO_MATCH_SIMPLE: 'Arguments must follow "key=value" format',
   NO_MATCH_UNIXMODE: 'Arguments must follow Unix-style format (-a, --option=value)',
+  NO_MATCH_MIXED: 'Arguments must follow "key=value" or Unix-style format (-a, --option=value)',
+  UNKNOWN_OPTION: 'Unknown option "%s"',
+  TOO_FEW_POSITIONALS: 'Fewer positional arguments were provided than required',
+  TOO_MANY_POSITIONALS: 'More positional arguments were provided than allowed',
+  INVALID_LINE_TYPE: 'The "line" parameter must be a string',
+  UNTERMINATED_QUOTE: 'The %s quote at position %d is not closed',
+  UNTERMINATED_ESCAPE: 'The backslash at position %d escapes no character',
 };
 
+/**
+ * Default settings used by `parse()` for any option that is not provided.
+ *
+ * @exports
+ * @private
+ * @constant DEFAULT_OPTIONS
+ * @type {ParseOptions}
+ * @example
+ * ```js
+ * const settings = { ...DEFAULT_OPTIONS, ...options };
+ * ```
+ */
+const DEFAULT_OPTIONS = Object.freeze({
+  mode: 'simple',
+  dialects: Object.freeze([]),
+  keyCase: 'snakecase',
+  keyPattern: KEY_PATTERN,
+  coerce: true,
+  strict: true,
+  boolean: Object.freeze([]),
+  string: Object.freeze([]),
+  minPositionals: 0,
+  maxPositionals: Infinity,
+  negate: true,
+  duplicates: 'last',
+  delimiter: null,
+  unknown: 'keep',
+  types: Object.freeze({}),
+  schema: Object.freeze({}),
+  alias: Object.freeze({}),
+  mirrorAliases: false,
+  help: false,
+  completion: false,
+  env: false,
+  config: false,
+});
+
+/**
+ * Stable codes of the `ArgvParseError` errors, one per kind of failure, so
+ * callers can branch on the kind of error without matching its message.
+ *
+ * @exports
+ * @private
+ * @constant ERROR_CODES
+ * @type {object}
+ * @example
+ * ```js
+ * if (error.code === ERROR_CODES.UNKNOWN_OPTION) printUsage();
+ * ```
+ */
+const ERROR_CODES = Object.freeze({
+  NO_ARGUMENTS: 'ERR_NO_ARGUMENTS',
+  INVALID_FORMAT: 'ERR_INVALID_FORMAT',
+  UNKNOWN_OPTION: 'ERR_UNKNOWN_OPTION',
+  MISSING_VALUE: 'ERR_MISSING_VALUE',
+  INVALID_VALUE: 'ERR_INVALID_VALUE',
+  INVALID_JSON: 'ERR_INVALID_JSON',
+  DUPLICATE_OPTION: 'ERR_DUPLICATE_OPTION',
+  CONFLICTING_KEY: 'ERR_CONFLICTING_KEY',
+  KEY_COLLISION: 'ERR_KEY_COLLISION',
+  UNSAFE_KEY: 'ERR_UNSAFE_KEY',
+  CONFLICTING_ALIAS: 'ERR_CONFLICTING_ALIAS',
+  MISSING_REQUIRED: 'ERR_MISSING_REQUIRED',
+  INVALID_CHOICE: 'ERR_INVALID_CHOICE',
+  VALIDATION_FAILED: 'ERR_VALIDATION_FAILED',
+  TOO_FEW_POSITIONALS: 'ERR_TOO_FEW_POSITIONALS',
+  TOO_MANY_POSITIONALS: 'ERR_TOO_MANY_POSITIONALS',
+  UNKNOWN_COMMAND: 'ERR_UNKNOWN_COMMAND',
+  MISSING_COMMAND: 'ERR_MISSING_COMMAND',
+  CONFIG_NOT_READABLE: 'ERR_CONFIG_NOT_READABLE',
+  CONFIG_UNSUPPORTED: 'ERR_CONFIG_UNSUPPORTED',
+  CONFIG_SYNTAX: 'ERR_CONFIG_SYNTAX',
+  CONFIG_NOT_OBJECT: 'ERR_CONFIG_NOT_OBJECT',
+  UNTERMINATED_QUOTE: 'ERR_UNTERMINATED_QUOTE',
+  UNTERMINATED_ESCAPE: 'ERR_UNTERMINATED_ESCAPE',
+});
+
+/**
+ * Keys of the result object that hold arguments which are not options. The
+ * default key grammar cannot produce them, and an option that maps to one of
+ * them under a custom `keyPattern` or `keyCase` is rejected.
+ *
+ * @exports
+ * @private
+ * @constant RESERVED_KEYS
+ * @type {{POSITIONALS: string, PASSTHROUGH: string, UNKNOWN: string}}
+ * @example
+ * ```js
+ * const [source, target] = result[RESERVED_KEYS.POSITIONALS];
+ * ```
+ */
+const RESERVED_KEYS = Object.freeze({
+  POSITIONALS: '_',
+  PASSTHROUGH: '--',
+  UNKNOWN: '--unknown',
+});
+
+/**
+ * Keys that are never written to a result object. Results have a `null`
+ * prototype, so no key can shadow the members of `Object.prototype`, but
+ * these three are the usual entry points of prototype pollution and are
+ * rejected wherever a result is copied or merged.
+ *
+ * @exports
+ * @private
+ * @constant UNSAFE_KEYS
+ * @type {string[]}
+ * @example
+ * ```js
+ * UNSAFE_KEYS.includes('__proto__') // true
+ * ```
+ */
+const UNSAFE_KEYS = Object.freeze(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Supported values for the `mode` option.
+ *
+ * @exports
+ * @private
+ * @constant PARSE_MODES
+ * @type {string[]}
+ * @example
+ * ```js
+ * PARSE_MODES.includes('unix') // true
+ * ```
+ */
+const PARSE_MODES = Object.freeze(['simple', 'unix', 'mixed']);
+
+/**
+ * Supported policies for the `duplicates` option.
+ *
+ * @exports
+ * @private
+ * @constant DUPLICATE_POLICIES
+ * @type {string[]}
+ * @example
+ * ```js
+ * DUPLICATE_POLICIES.includes('array') // true
+ * ```
+ */
+const DUPLICATE_POLICIES = Object.freeze(['last', 'first', 'error', 'array']);
+
+/**
+ * Supported policies for the `unknown` option.
+ *
+ * @exports
+ * @private
+ * @constant UNKNOWN_POLICIES
+ * @type {string[]}
+ * @example
+ * ```js
+ * UNKNOWN_POLICIES.includes('passthrough') // true
+ * ```
+ */
+const UNKNOWN_POLICIES = Object.freeze(['keep', 'strict', 'strip', 'passthrough']);
+
+/**
+ * Supported values for the `type` of an option definition.
+ *
+ * @exports
+ * @private
+ * @constant SCHEMA_TYPES
+ * @type {string[]}
+ * @example
+ * ```js
+ * SCHEMA_TYPES.includes('count') // true
+ * ```
+ */
+const SCHEMA_TYPES = Object.freeze([
+  'string',
+  'number',
+  'integer',
+  'boolean',
+  'array',
+  'count',
+  'date',
+  'url',
+  'path',
+  'duration',
+  'bytes',
+]);
+
+/**
+ * Option definition types handled by the parser itself, which the `types`
+ * option cannot replace.
+ *
+ * @exports
+ * @private
+ * @constant CORE_TYPES
+ * @type {string[]}
+ * @example
+ * ```js
+ * CORE_TYPES.includes('url') // false
+ * ```
+ */
+const CORE_TYPES = Object.freeze(SCHEMA_TYPES.slice(0, 6));
+
+/**
+ * Settings accepted in an object given as the `coerce` option.
+ *
+ * @exports
+ * @private
+ * @constant COERCE_SETTINGS
+ * @type {string[]}
+ * @example
+ * ```js
+ * COERCE_SETTINGS.includes('bigint') // true
+ * ```
+ */
+const COERCE_SETTINGS = Object.freeze(['bigint', 'nullish', 'dates', 'json']);
+
+/**
+ * Option definition types that never take a value.
+ *
+ * @exports
+ * @private
+ * @constant FLAG_TYPES
+ * @type {string[]}
+ * @example
+ * ```js
+ * FLAG_TYPES.includes('boolean') // true
+ * ```
+ */
+const FLAG_TYPES = Object.freeze(['boolean', 'count']);
+
+/**
+ * Shells that completion scripts can be generated for.
+ *
+ * @exports
+ * @private
+ * @constant COMPLETION_SHELLS
+ * @type {string[]}
+ * @example
+ * ```js
+ * COMPLETION_SHELLS.includes('fish') // true
+ * ```
+ */
+const COMPLETION_SHELLS = Object.freeze(['bash', 'zsh', 'fish']);
+
+/**
+ * Supported values for the `keyCase` option.
+ *
+ * @exports
+ * @private
+ * @constant KEY_CASES
+ * @type {string[]}
+ * @example
+ * ```js
+ * KEY_CASES.includes('camelcase') // true
+ * ```
+ */
+const KEY_CASES = Object.freeze([
+  'snakecase',
+  'camelcase',
+  'kebabcase',
+  'pascalcase',
+  'constantcase',
+  'none',
+]);
+
 // ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 /**
  * Exported constants for argument validation.
  *
  * @type {object}
- * @property {CommandLinePatterns} REGEXPS                - Validation patterns.
- * @property {ErrorMessages}       THROWS_ERRORS_MESSAGES - Standard error messages.
+ * @property {CommandLinePatterns} REGEXPS                   - Validation patterns.
+ * @property {RegExp}              KEY_PATTERN               - Default grammar of a key segment.
+ * @property {Function}            createCommandLinePatterns - Builds the validation patterns for a key grammar.
+ * @property {ValuePatterns}       VALUE_PATTERNS            - Patterns of the values converted from text.
+ * @property {ErrorMessages}       THROWS_ERRORS_MESSAGES    - Standard error messages.
+ * @property {object}              ERROR_CODES               - Codes of the parse errors.
+ * @property {ParseOptions}        DEFAULT_OPTIONS           - Default `parse()` settings.
+ * @property {object}              RESERVED_KEYS             - Result keys for non-option arguments.
+ * @property {string[]}            UNSAFE_KEYS               - Keys never written to a result object.
+ * @property {string[]}            PARSE_MODES               - Supported parse modes.
+ * @property {string[]}            KEY_CASES                 - Supported key casings.
+ * @property {string[]}            DUPLICATE_POLICIES        - Supported duplicates policies.
+ * @property {string[]}            UNKNOWN_POLICIES          - Supported unknown option policies.
+ * @property {string[]}            SCHEMA_TYPES              - Supported option definition types.
+ * @property {string[]}            CORE_TYPES                - Option definition types that cannot be replaced.
+ * @property {string[]}            COERCE_SETTINGS           - Settings of the `coerce` option.
+ * @property {string[]}            FLAG_TYPES                - Option definition types without a value.
+ * @property {string[]}            COMPLETION_SHELLS         - Shells that completion scripts can be generated for.
  */
-export { COMMAND_LINE_PATTERNS, ERROR_MESSAGES };
+export {
+  COMMAND_LINE_PATTERNS,
+  KEY_PATTERN,
+  createCommandLinePatterns,
+  VALUE_PATTERNS,
+  ERROR_MESSAGES,
+  ERROR_CODES,
+  DEFAULT_OPTIONS,
+  RESERVED_KEYS,
+  UNSAFE_KEYS,
+  PARSE_MODES,
+  KEY_CASES,
+  DUPLICATE_POLICIES,
+  UNKNOWN_POLICIES,
+  SCHEMA_TYPES,
+  CORE_TYPES,
+  COERCE_SETTINGS,
+  FLAG_TYPES,
+  COMPLETION_SHELLS,
+};
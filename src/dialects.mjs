@@ -0,0 +1,128 @@
+/**
+ * @file Defines the syntax dialects that can be enabled next to the mode.
+ *
+ * A dialect is an extra argument syntax, borrowed from another platform, that
+ * `parse()` accepts whatever its `mode`: the Windows `/out:file` style and the
+ * Java `-Dprop=value` property style are built in, and consumers can add their
+ * own as a `{ pattern, read }` object.
+ *
+ * @module dialects
+ * @since 1.2.0
+ *
+ * @example
+ * ```js
+ * readDialect('/out:file.txt', ['windows']) // returns ['out', 'file.txt']
+ * readDialect('-Dlog.level=debug', ['java']) // returns ['log.level', 'debug']
+ * ```
+ */
+
+// ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Definition of a syntax dialect.
+ *
+ * @typedef  {object}   Dialect
+ * @property {RegExp}   pattern - Matches the arguments written in the dialect.
+ * @property {Function} [read]  - Turns the match into a `[name, value]` pair, by default the first two capture groups.
+ */
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Built-in dialects, by name.
+ *
+ * - `windows`: `/flag`, `/out:file` or `/out=file`, and `/?` for `help`.
+ * - `java`: `-Dprop`, `-Dprop=value`, dotted names included.
+ *
+ * @exports
+ * @private
+ * @constant DIALECTS
+ * @type {object}
+ * @example
+ * ```js
+ * DIALECTS.windows.pattern.test('/out:file') // true
+ * ```
+ */
+const DIALECTS = Object.freeze({
+  windows: Object.freeze({
+    pattern: /^\/([a-zA-Z][\w.-]*|\?)(?:[:=](.*))?$/s,
+    read: ([, name, value]) => [name === '?' ? 'help' : name, value],
+  }),
+  java: Object.freeze({
+    pattern: /^-D([a-zA-Z][\w-]*(?:\.[a-zA-Z][\w-]*)*)(?:=(.*))?$/s,
+    read: ([, name, value]) => [name, value],
+  }),
+});
+
+// ━━ FUNCTIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Reads the option name and value from the first two capture groups of a
+ * dialect match.
+ *
+ * @private
+ * @function readMatch
+ * @param {string[]} match - The match of the dialect pattern.
+ * @returns {Array<string|undefined>} A `[name, value]` pair, `value` is `undefined` when absent.
+ * @example
+ * ```js
+ * readMatch(/^-D(\w+)(?:=(.*))?$/.exec('-Dname=x')) // returns ['name', 'x']
+ * ```
+ */
+const readMatch = ([, name, value]) => [name, value];
+
+// ━━ MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Checks whether a value of the `dialects` setting is the name of a built-in
+ * dialect or a valid dialect definition.
+ *
+ * @exports
+ * @private
+ * @function isDialect
+ * @param {*} dialect - The value to check.
+ * @returns {boolean} `true` if `dialect` can be used.
+ * @example
+ * ```js
+ * isDialect('windows') // returns true
+ * isDialect({ pattern: /^\+(\w+)$/ }) // returns true
+ * isDialect('dos') // returns false
+ * ```
+ */
+const isDialect = dialect => {
+  if (typeof dialect === 'string') return Object.keys(DIALECTS).includes(dialect);
+
+  return (
+    dialect !== null &&
+    typeof dialect === 'object' &&
+    dialect.pattern instanceof RegExp &&
+    (dialect.read === undefined || typeof dialect.read === 'function')
+  );
+};
+
+/**
+ * Reads an argument with the first of the enabled dialects whose pattern it
+ * matches.
+ *
+ * @exports
+ * @private
+ * @function readDialect
+ * @param {string} argument - The raw argument.
+ * @param {Array<string|Dialect>} dialects - The enabled dialects, by name or definition.
+ * @returns {Array<string|undefined>|null} A `[name, value]` pair, or `null` if no dialect matches.
+ * @example
+ * ```js
+ * readDialect('/?', ['windows']) // returns ['help', undefined]
+ * readDialect('+debug', [{ pattern: /^\+(\w+)$/ }]) // returns ['debug', undefined]
+ * readDialect('--out=file', ['windows', 'java']) // returns null
+ * ```
+ */
+const readDialect = (argument, dialects) =>
+  dialects.reduce((found, dialect) => {
+    if (found) return found;
+
+    const { pattern, read = readMatch } = typeof dialect === 'string' ? DIALECTS[dialect] : dialect;
+    const match = pattern.exec(argument);
+
+    return match ? read(match) : null;
+  }, null);
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+export { DIALECTS, isDialect };
+export default readDialect;
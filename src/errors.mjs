@@ -0,0 +1,72 @@
+/**
+ * @file Defines the error thrown when command-line arguments cannot be parsed.
+ *
+ * Every failure caused by the arguments themselves (a malformed or unknown
+ * option, a missing or invalid value, a missing command, a malformed config
+ * file, an unclosed quote in a tokenized line) is thrown as an
+ * `ArgvParseError`, with a stable `code` to branch on and the offending token
+ * and its position in `argv`. Invalid API usage, such as a setting of the
+ * wrong type, is still thrown as a `TypeError`.
+ *
+ * @module errors
+ * @since 1.2.0
+ *
+ * @example
+ * ```js
+ * try {
+ *   parse(['--verbos'], { mode: 'unix', schema: { verbose: { type: 'boolean' } } });
+ * } catch (error) {
+ *   if (error instanceof ArgvParseError) console.error(error.message, error.suggestion);
+ * }
+ * ```
+ */
+
+// ━━ MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Error thrown when command-line arguments cannot be parsed.
+ *
+ * @augments Error
+ * @property {string} code         - Stable code of the failure, one of `ERROR_CODES`, e.g. `ERR_MISSING_VALUE`.
+ * @property {string} [token]      - The offending argument, environment variable or config file.
+ * @property {number} [index]      - Position of the offending argument in `argv`, or of the offending character in a tokenized line.
+ * @property {string} [suggestion] - The closest known name, when the token looks like a typo.
+ * @example
+ * ```js
+ * const error = new ArgvParseError('ERR_UNKNOWN_COMMAND', 'Unknown command "dpeloy"', {
+ *   token: 'dpeloy',
+ *   index: 0,
+ *   suggestion: 'deploy',
+ * });
+ * error.message // returns 'Unknown command "dpeloy" (did you mean "deploy"?)'
+ * ```
+ */
+class ArgvParseError extends Error {
+  /**
+   * Creates a parse error.
+   *
+   * @param {string} code - Stable code of the failure.
+   * @param {string} message - Description of the failure.
+   * @param {object} [details] - Where the failure happened.
+   * @param {string} [details.token] - The offending argument.
+   * @param {number} [details.index] - Position of the offending argument in `argv`, or character in a tokenized line.
+   * @param {string} [details.suggestion] - The closest known name.
+   * @example
+   * ```js
+   * throw new ArgvParseError('ERR_MISSING_VALUE', 'The "port" option requires a value', {
+   *   token: '--port',
+   *   index: 2,
+   * });
+   * ```
+   */
+  constructor(code, message, { token, index, suggestion } = {}) {
+    super(suggestion === undefined ? message : `${message} (did you mean "${suggestion}"?)`);
+    this.name = 'ArgvParseError';
+    this.code = code;
+    this.token = token;
+    this.index = index;
+    this.suggestion = suggestion;
+  }
+}
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+export default ArgvParseError;
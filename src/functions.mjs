@@ -9,30 +9,60 @@
  * @since 1.0.0
  */
 
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+import { format } from 'node:util';
+
+// » IMPORT LOCAL MODULES
+import COERCERS, { toDate } from '#coercers';
+import {
+  COERCE_SETTINGS,
+  CORE_TYPES,
+  DEFAULT_OPTIONS,
+  DUPLICATE_POLICIES,
+  ERROR_CODES,
+  ERROR_MESSAGES,
+  KEY_CASES,
+  PARSE_MODES,
+  RESERVED_KEYS,
+  UNKNOWN_POLICIES,
+  UNSAFE_KEYS,
+  VALUE_PATTERNS,
+} from '#constants';
+import { isDialect } from '#dialects';
+import ArgvParseError from '#errors';
+
 // ━━ MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 /**
  * Normalizes and formats argument keys according to specified casing convention.
  *
  * Removes leading dashes from command-line flags and applies optional case conversion.
+ * Dashes and underscores both separate the words of a key.
  *
  * Supports:
  *
  * - camelCase conversion (--some-flag → someFlag).
  * - snake_case conversion (--some-flag → some_flag).
+ * - kebab-case conversion (--some_flag → some-flag).
+ * - PascalCase conversion (--some-flag → SomeFlag).
+ * - CONSTANT_CASE conversion (--some-flag → SOME_FLAG).
+ * - A custom function, called with the key without its dashes.
  * - No conversion (--some-flag → some-flag).
  *
  * @exports
  * @private
  * @function formatKey
  * @param {string} key - The raw key from command-line arguments.
- * @param {'camelcase'|'snakecase'} [mode] - Target formatting mode.
+ * @param {string|Function} [mode] - Target formatting mode, or a function that formats the key.
  * @returns {string} Normalized and formatted key.
- * @throws {TypeError} If key is not a string.
+ * @throws {TypeError} If key is not a string, or a `mode` function does not return a non-empty string.
  * @example
  * ```js
  * formatKey('--output-format', 'camelcase') // returns 'outputFormat'
  * formatKey('-v', 'snakecase') // returns 'v' (no underscores needed)
  * formatKey('--enable-logging') // returns 'enable-logging'
+ * formatKey('--dry-run', 'constantcase') // returns 'DRY_RUN'
+ * formatKey('--dry-run', key => key.toUpperCase()) // returns 'DRY-RUN'
  * ```
  */
 const formatKey = (key, mode) => {
@@ -41,24 +71,163 @@ const formatKey = (key, mode) => {
   }
   const sanitizedKey = key.replace(/^-{1,2}/, '');
 
+  if (typeof mode === 'function') {
+    const formatted = mode(sanitizedKey);
+    if (typeof formatted !== 'string' || formatted === '') {
+      throw new TypeError(ERROR_MESSAGES.INVALID_KEY_RESULT);
+    }
+    return formatted;
+  }
+
+  const camelKey = sanitizedKey.replace(/[-_](\p{Ll})/gu, (_, char) => char.toUpperCase());
+
   if (mode === 'camelcase') {
-    return sanitizedKey.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+    return camelKey;
+  }
+
+  if (mode === 'pascalcase') {
+    return camelKey.charAt(0).toUpperCase() + camelKey.slice(1);
   }
 
   if (mode === 'snakecase') {
     return sanitizedKey.replace(/-/g, '_');
   }
 
+  if (mode === 'constantcase') {
+    return sanitizedKey.replace(/-/g, '_').toUpperCase();
+  }
+
+  if (mode === 'kebabcase') {
+    return sanitizedKey.replace(/_/g, '-');
+  }
+
   return sanitizedKey;
 };
 
+/**
+ * Turns a key formatted by `formatKey()` back into an option name, so that
+ * formatting the name again gives the same key.
+ *
+ * Words of camelCase and PascalCase keys are split before each uppercase letter
+ * but the first, and the underscores of snake_case and CONSTANT_CASE keys
+ * become dashes; both are lowercased. Keys formatted by a function, by
+ * `kebabcase` or by no mode are returned as they are.
+ *
+ * @exports
+ * @private
+ * @function toOptionName
+ * @param {string} key - The formatted key.
+ * @param {string|Function} [mode] - The formatting mode the key was produced with.
+ * @returns {string} The option name, without dashes.
+ * @example
+ * ```js
+ * toOptionName('outputFormat', 'camelcase') // returns 'output-format'
+ * toOptionName('DRY_RUN', 'constantcase') // returns 'dry-run'
+ * toOptionName('enable-logging') // returns 'enable-logging'
+ * ```
+ */
+const toOptionName = (key, mode) => {
+  if (mode === 'camelcase' || mode === 'pascalcase') {
+    return key.replace(/(?!^)\p{Lu}/gu, '-$&').toLowerCase();
+  }
+
+  if (mode === 'snakecase' || mode === 'constantcase') {
+    const name = key.replace(/_/g, '-');
+    return mode === 'constantcase' ? name.toLowerCase() : name;
+  }
+
+  return key;
+};
+
+/**
+ * Checks whether a value is an object that is neither `null` nor an array.
+ *
+ * @exports
+ * @private
+ * @function isPlainObject
+ * @param {*} value - The value to check.
+ * @returns {boolean} `true` if `value` is a plain object.
+ * @example
+ * ```js
+ * isPlainObject({ mode: 'unix' }) // returns true
+ * isPlainObject(['unix']) // returns false
+ * ```
+ */
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * JSON reviver that gives every parsed object a `null` prototype, like the
+ * objects of a result.
+ *
+ * @exports
+ * @private
+ * @function reviveObject
+ * @param {string} key - The key of the value, unused.
+ * @param {*} value - The parsed value.
+ * @returns {*} The value, objects copied to a `null`-prototype object.
+ * @example
+ * ```js
+ * Object.getPrototypeOf(JSON.parse('{"a":1}', reviveObject)) // returns null
+ * ```
+ */
+const reviveObject = (key, value) =>
+  isPlainObject(value) ? Object.assign(Object.create(null), value) : value;
+
+/**
+ * Parses a value that looks like a JSON object or array, its objects with a
+ * `null` prototype.
+ *
+ * @exports
+ * @private
+ * @function convertJson
+ * @param {string} value - The text of the value, e.g. `{"a":1}` or `[1,2]`.
+ * @param {string} name - The option name, used in error messages.
+ * @param {object} [origin] - The `token` and `index` of the argument, used in errors.
+ * @returns {object|Array} The parsed object or array.
+ * @throws {ArgvParseError} If `value` is not valid JSON.
+ * @example
+ * ```js
+ * convertJson('{"a":1}', 'meta') // returns { a: 1 }
+ * convertJson('{a:1}', 'meta') // throws ArgvParseError
+ * ```
+ */
+const convertJson = (value, name, origin) => {
+  try {
+    return JSON.parse(value, reviveObject);
+  } catch (error) {
+    const message = format(ERROR_MESSAGES.INVALID_JSON, name, error.message);
+    throw new ArgvParseError(ERROR_CODES.INVALID_JSON, message, origin);
+  }
+};
+
+/**
+ * Checks whether an object has a property of its own.
+ *
+ * @exports
+ * @private
+ * @function hasKey
+ * @param {object} node - The object to check.
+ * @param {string|number} key - The property name or array index.
+ * @returns {boolean} `true` if `node` has its own `key` property.
+ * @example
+ * ```js
+ * hasKey({ a: 1 }, 'a') // returns true
+ * hasKey({}, 'toString') // returns false
+ * ```
+ */
+const hasKey = (node, key) => Object.prototype.hasOwnProperty.call(node, key);
+
 /**
  * Converts string values from command-line arguments to proper JavaScript types.
  *
  * Performs automatic conversion of:
  *
  * - 'true'/'false' strings → boolean.
- * - Numeric strings → number.
+ * - Decimal numbers → number. Anything else (`12abc`, `0x1F`) is not a number.
+ * - Numbers with leading zeros (`007`) → kept as strings, they are usually IDs.
+ * - Integers beyond the safe range → kept as strings, or BigInt with `bigint`.
+ * - 'null'/'undefined' strings → null/undefined, with `nullish`.
+ * - ISO 8601 dates → Date, with `dates`.
  * - undefined values → true (for flag arguments).
  * - All other values remain as strings.
  *
@@ -66,51 +235,854 @@ const formatKey = (key, mode) => {
  * @private
  * @function convertValue
  * @param {string} [value] - The value to convert.
- * @returns {string|boolean|number} Converted value.
+ * @param {object} [options] - The optional conversions, all disabled by default.
+ * @param {boolean} [options.bigint] - Whether integers beyond the safe range become BigInts.
+ * @param {boolean} [options.nullish] - Whether `null` and `undefined` are read as literals.
+ * @param {boolean} [options.dates] - Whether ISO 8601 dates become `Date` objects.
+ * @returns {string|boolean|number|bigint|Date|null|undefined} Converted value.
  * @example
  * ```js
  * convertValue('true') // returns true
  * convertValue('42') // returns 42
+ * convertValue('007') // returns '007'
+ * convertValue('12abc') // returns '12abc'
+ * convertValue('12345678901234567890', { bigint: true }) // returns 12345678901234567890n
  * convertValue() // returns true (for flag arguments)
  * convertValue('text') // returns 'text'
  * ```
  */
-const convertValue = value => {
+const convertValue = (value, options = {}) => {
+  const { bigint = false, nullish = false, dates = false } = options;
+
   if (value === undefined) return true;
   if (value === 'true') return true;
   if (value === 'false') return false;
-  if (!Number.isNaN(value) && !Number.isNaN(parseFloat(value))) return Number(value);
+  if (nullish && value === 'null') return null;
+  if (nullish && value === 'undefined') return undefined;
+
+  if (VALUE_PATTERNS.NUMBER.test(value) && !/^-?0\d/.test(value)) {
+    const number = Number(value);
+    const isInteger = VALUE_PATTERNS.INTEGER.test(value);
+
+    if (isInteger ? Number.isSafeInteger(number) : Number.isFinite(number)) return number;
+    return bigint && isInteger ? BigInt(value) : value;
+  }
+
+  if (dates && VALUE_PATTERNS.ISO_DATE.test(value)) {
+    try {
+      return toDate(value);
+    } catch {
+      return value;
+    }
+  }
+
   return value;
 };
 
 /**
- * Creates an object from command line arguments by parsing key-value pairs.
+ * Converts a value from the command line to the type declared in a schema.
+ *
+ * Unlike `convertValue()`, nothing is guessed: the value must be valid for the
+ * declared type or an error is thrown. Booleans, such as the `false` of a
+ * negated flag, are only valid for the `boolean` type, and numbers read from a
+ * config file are checked as if they had been written on the command line.
+ * Integers beyond the safe range are rejected, unless `bigint` is enabled.
  *
- * @param {string[]} argumentsv - Array of command line arguments to process.
- * @param {'camelcase'|'snakecase'} mode - Target formatting mode.
- * @returns {object} Object with parsed keys and converted values.
- * @throws {Error} When arguments cannot be parsed into valid key-value pairs.
+ * Any other type is handed to its coercer, a custom one from `types` first and
+ * then a built-in one, and a coercer that throws rejects the value.
+ *
+ * @exports
+ * @private
+ * @function convertToType
+ * @param {*} value - The value to convert, `undefined` when absent.
+ * @param {string} type - The declared type.
+ * @param {string} name - The option name, used in error messages.
+ * @param {object} [origin] - The `token` and `index` of the argument, used in errors.
+ * @param {object} [options] - Settings of the conversion.
+ * @param {object} [options.types] - Custom coercers, by type name.
+ * @param {boolean} [options.bigint] - Whether `integer` values beyond the safe range become BigInts.
+ * @returns {*} Converted value.
+ * @throws {ArgvParseError} If a value is required but absent, or it is not valid for `type`.
+ * @example
+ * ```js
+ * convertToType('007', 'string', 'id') // returns '007'
+ * convertToType('8080', 'integer', 'port') // returns 8080
+ * convertToType(undefined, 'boolean', 'verbose') // returns true
+ * convertToType('5s', 'duration', 'timeout') // returns 5000
+ * convertToType('0x1F', 'number', 'port') // throws ArgvParseError
+ * convertToType(false, 'integer', 'port') // throws ArgvParseError
+ * ```
+ */
+const convertToType = (value, type, name, origin, options = {}) => {
+  const { types = {}, bigint = false } = options;
+
+  if (typeof value === 'boolean' && type === 'boolean') return value;
+
+  const text = typeof value === 'number' ? String(value) : value;
+
+  if (type === 'boolean') {
+    if (text === undefined || text === 'true') return true;
+    if (text === 'false') return false;
+  } else if (text === undefined) {
+    const message = format(ERROR_MESSAGES.MISSING_OPTION_VALUE, name);
+    throw new ArgvParseError(ERROR_CODES.MISSING_VALUE, message, origin);
+  } else if (typeof text === 'string' && type === 'string') {
+    return text;
+  } else if (type === 'number' || type === 'integer') {
+    if (typeof text === 'string' && VALUE_PATTERNS.NUMBER.test(text)) {
+      const number = Number(text);
+      if (type === 'number' ? Number.isFinite(number) : Number.isSafeInteger(number)) return number;
+      if (type === 'integer' && bigint && VALUE_PATTERNS.INTEGER.test(text)) return BigInt(text);
+    }
+  } else if (typeof text === 'string' && (hasKey(types, type) || hasKey(COERCERS, type))) {
+    const coercer = hasKey(types, type) ? types[type] : COERCERS[type];
+    try {
+      return coercer(text, name);
+    } catch {
+      // A coercer rejects a value by throwing, reported below as an invalid value.
+    }
+  }
+
+  const message = format(ERROR_MESSAGES.INVALID_OPTION_VALUE, name, type, text);
+  throw new ArgvParseError(ERROR_CODES.INVALID_VALUE, message, origin);
+};
+
+/**
+ * Finds the first key, at any depth of an object or array, that could alter
+ * `Object.prototype` once a result object is copied or merged.
+ *
+ * @exports
+ * @private
+ * @function findUnsafeKey
+ * @param {*} value - The value to check, values that are not objects hold no keys.
+ * @returns {string|undefined} The first unsafe key, or `undefined` when there is none.
+ * @example
+ * ```js
+ * findUnsafeKey({ db: { host: 'x' } }) // returns undefined
+ * findUnsafeKey([{ a: JSON.parse('{"__proto__": {}}') }]) // returns '__proto__'
+ * findUnsafeKey({ toString: 'x' }) // returns undefined
+ * findUnsafeKey('constructor') // returns undefined
+ * ```
+ */
+const findUnsafeKey = value => {
+  if (value === null || typeof value !== 'object') return undefined;
+
+  const keys = Array.isArray(value) ? [] : Object.keys(value);
+  const unsafe = keys.find(key => UNSAFE_KEYS.includes(key));
+
+  return (
+    unsafe ??
+    Object.values(value)
+      .map(findUnsafeKey)
+      .find(key => key !== undefined)
+  );
+};
+
+/**
+ * Finds the object that holds the last key of a path, creating the missing
+ * intermediate objects, with a `null` prototype, and arrays along the way.
+ *
+ * An index must select an existing item of its array or the next free one, so
+ * arrays grow one item at a time and never hold holes.
+ *
+ * @exports
+ * @private
+ * @function resolveParent
+ * @param {object} target - The root object.
+ * @param {Array<string|number>} path - The keys and indices of the path.
+ * @param {object} [origin] - The `token` and `index` of the argument, used in errors.
+ * @param {string} [name] - The option name, used in errors.
+ * @returns {object|Array} The object or array that holds the last key.
+ * @throws {ArgvParseError} If an intermediate key already holds a value that is not an object, or an index skips the next free index.
+ * @example
+ * ```js
+ * const target = {};
+ * resolveParent(target, ['servers', 0, 'name']) // returns {}, target is { servers: [{}] }
+ * resolveParent(target, ['servers', 5, 'name']) // throws ArgvParseError
+ * ```
+ */
+const resolveParent = (target, path, origin, name = path.join('.')) => {
+  const checkIndex = (node, key) => {
+    if (Array.isArray(node) && typeof key === 'number' && key > node.length) {
+      const message = format(ERROR_MESSAGES.INVALID_INDEX, name, key, node.length);
+      throw new ArgvParseError(ERROR_CODES.INVALID_FORMAT, message, origin);
+    }
+  };
+
+  const parent = path.slice(0, -1).reduce((node, key, position) => {
+    checkIndex(node, key);
+    if (!hasKey(node, key)) {
+      node[key] = typeof path[position + 1] === 'number' ? [] : Object.create(null);
+    } else if (node[key] === null || typeof node[key] !== 'object') {
+      const conflict = path.slice(0, position + 1).join('.');
+      const message = format(ERROR_MESSAGES.CONFLICTING_KEY_PATH, name, conflict);
+      throw new ArgvParseError(ERROR_CODES.CONFLICTING_KEY, message, origin);
+    }
+    return node[key];
+  }, target);
+
+  checkIndex(parent, path[path.length - 1]);
+
+  return parent;
+};
+
+/**
+ * Reads the value at the end of a path without creating anything.
+ *
+ * @exports
+ * @private
+ * @function readPath
+ * @param {object} target - The root object.
+ * @param {Array<string|number>} path - The keys and indices of the path.
+ * @returns {Array<boolean|*>} An `[exists, value]` pair.
+ * @example
+ * ```js
+ * readPath({ db: { port: 5432 } }, ['db', 'port']) // returns [true, 5432]
+ * readPath({ db: { port: 5432 } }, ['db', 'host']) // returns [false, undefined]
+ * ```
+ */
+const readPath = (target, path) =>
+  path.reduce(
+    ([exists, node], key) => {
+      if (!exists || node === null || typeof node !== 'object' || !hasKey(node, key)) {
+        return [false, undefined];
+      }
+      return [true, node[key]];
+    },
+    [true, target],
+  );
+
+/**
+ * Splits a single command-line argument into its name and inline value.
+ *
+ * Only the first `=` separates the name from the value, so the value keeps
+ * every other `=` it contains.
+ *
+ * @exports
+ * @private
+ * @function splitArgument
+ * @param {string} argument - The raw argument, e.g. `--name=John` or `-v`.
+ * @returns {Array<string|undefined>} A `[name, value]` pair, `value` is `undefined` when absent.
+ * @example
+ * ```js
+ * splitArgument('--name=John') // returns ['--name', 'John']
+ * splitArgument('--filter=a=b') // returns ['--filter', 'a=b']
+ * splitArgument('-v') // returns ['-v', undefined]
+ * ```
+ */
+const splitArgument = argument => {
+  const separator = argument.indexOf('=');
+  if (separator === -1) return [argument, undefined];
+  return [argument.slice(0, separator), argument.slice(separator + 1)];
+};
+
+/**
+ * Splits an option name into the path of keys it points to.
+ *
+ * Dots separate nested keys and `[n]` selects an array index. Every key of the
+ * path is formatted on its own according to `mode`, while indices are returned
+ * as numbers.
+ *
+ * @exports
+ * @private
+ * @function toKeyPath
+ * @param {string} name - The raw option name, e.g. `--db.max-pool` or `servers[0].name`.
+ * @param {string|Function} [mode] - Target formatting mode, or a function that formats each key.
+ * @returns {Array<string|number>} The keys and indices of the path.
+ * @example
+ * ```js
+ * toKeyPath('--db.max-pool', 'camelcase') // returns ['db', 'maxPool']
+ * toKeyPath('servers[0].host-name', 'snakecase') // returns ['servers', 0, 'host_name']
+ * ```
+ */
+const toKeyPath = (name, mode) =>
+  formatKey(name)
+    .split('.')
+    .flatMap(segment => {
+      const [, key, brackets] = segment.match(/^([^[]*)(.*)$/);
+      const indices = [...brackets.matchAll(/\[(\d+)\]/g)].map(([, index]) => Number(index));
+      return [formatKey(key, mode), ...indices];
+    });
+
+/**
+ * Finds the first character of an option name that the key grammar does not
+ * allow. The name is read segment by segment, each segment being the longest
+ * match of `keyPattern`, followed by any `[n]` indices and a dot.
+ *
+ * @exports
+ * @private
+ * @function findInvalidCharacter
+ * @param {string} name - The option name, without dashes or value.
+ * @param {RegExp} keyPattern - The grammar of a key segment.
+ * @returns {number} The position of the invalid character, or `-1` if there is none.
+ * @example
+ * ```js
+ * findInvalidCharacter('max_size', KEY_PATTERN) // returns -1
+ * findInvalidCharacter('db.2nd', KEY_PATTERN) // returns 3
+ * findInvalidCharacter('name!', KEY_PATTERN) // returns 4
+ * ```
+ */
+const findInvalidCharacter = (name, keyPattern) => {
+  const segment = new RegExp(keyPattern.source, `${keyPattern.flags.replace(/[gy]/g, '')}y`);
+  const index = /\[\d+\]/y;
+  let position = 0;
+
+  while (position < name.length) {
+    segment.lastIndex = position;
+    const match = segment.exec(name);
+
+    if (!match || match[0] === '') return position;
+
+    position = segment.lastIndex;
+    index.lastIndex = position;
+    while (index.exec(name)) position = index.lastIndex;
+
+    if (position === name.length) return -1;
+    if (name[position] !== '.' || position === name.length - 1) return position;
+
+    position += 1;
+  }
+
+  return -1;
+};
+
+/**
+ * Runs a task, handing the `ArgvParseError` it throws to `report` so the
+ * caller can go on with the next argument. Any other error, and every error
+ * when there is no `report`, is thrown as it is.
+ *
+ * @exports
+ * @private
+ * @function attempt
+ * @param {Function} task - The work to run.
+ * @param {Function} [report] - Receives the `ArgvParseError` thrown by `task`.
+ * @returns {*} The value returned by `task`, or `undefined` when it failed.
+ * @throws {Error} If `task` throws and the error is not reported.
+ * @example
+ * ```js
+ * const errors = [];
+ * attempt(() => convertToType('x', 'integer', 'port'), error => errors.push(error));
+ * // Returns: undefined, and errors holds the ArgvParseError
+ * ```
+ */
+const attempt = (task, report) => {
+  try {
+    return task();
+  } catch (error) {
+    if (!report || !(error instanceof ArgvParseError)) throw error;
+    report(error);
+    return undefined;
+  }
+};
+
+/**
+ * Creates an object from `[name, value]` pairs read from the command line.
+ *
+ * When the same key appears more than once, its duplicates policy decides the
+ * outcome: `last` keeps the last value, `first` keeps the first one, `error`
+ * throws and `array` collects every value into an array. Values of `array`
+ * options are also split on `delimiter`, and every element is converted on
+ * its own.
+ *
+ * Two different options that map to the same key once formatted, such as
+ * `--dry-run` and `--dry_run` with the `snakecase` casing, are an error
+ * instead of one silently replacing the other.
+ *
+ * Keys are written to plain objects, so a key that could alter or shadow the
+ * members of `Object.prototype` (`__proto__`, `constructor`, `toString`, ...)
+ * is an error, whether it comes from the option name or from an object value.
+ *
+ * When a `report` function is given, an entry that fails is reported to it
+ * and skipped, and the rest of the entries are still processed.
+ *
+ * @exports
+ * @private
+ * @function createObjectFromEntries
+ * @param {Array<Array<*>>} entries - The `[name, value, origin]` triples to process, values that are not strings are kept as they are, and the optional `origin` holds the `token` and `index` used in errors.
+ * @param {object} [options] - Settings for building the object.
+ * @param {string|Function} [options.keyCase] - Target formatting mode, or a function that formats each key.
+ * @param {boolean|object} [options.coerce] - Whether values are converted to JavaScript types, `true` by default, or the optional conversions to enable.
+ * @param {object} [options.types] - Custom coercers, by type name.
+ * @param {string|object} [options.duplicates] - Duplicates policy, or a map of option names to policies.
+ * @param {string|null} [options.delimiter] - Separator used to split the values of `array` options.
+ * @param {object} [options.schema] - Option definitions whose `type` replaces the guessed conversion, and whose `raw` disables it.
+ * @param {Function} [options.report] - Receives the error of each failing entry, instead of throwing it.
+ * @returns {object} Object, with a `null` prototype, with parsed keys and converted values.
+ * @throws {ArgvParseError} If an option with the `error` policy appears more than once.
+ * @throws {ArgvParseError} If a key is used both as a value and as a nested object.
+ * @throws {ArgvParseError} If two different options map to the same key.
+ * @throws {ArgvParseError} If an option name or an object value holds a key reserved by `Object.prototype`.
+ * @throws {ArgvParseError} If a value is not valid for the type declared in `schema`.
+ * @throws {ArgvParseError} If the `json` conversion is enabled and a value that looks like JSON is malformed.
  *
  * @example
  * ```js
  * // Simple mode: key=value pairs
- * createObjectFromArguments(['name=John', 'age=30'], 'snakecase');
+ * createObjectFromEntries([['name', 'John'], ['age', '30']], { keyCase: 'snakecase' });
  * // Returns: { name: 'John', age: 30 }
  *
  * // Unix mode: flags and options
- * createObjectFromArguments(['--name=John', '-a'], 'snakecase');
+ * createObjectFromEntries([['--name', 'John'], ['-a', undefined]], { keyCase: 'snakecase' });
  * // Returns: { name: 'John', a: true }
+ *
+ * // Repeated options collected into an array
+ * createObjectFromEntries([['--tag', 'a,b'], ['--tag', '3']], { duplicates: 'array', delimiter: ',' });
+ * // Returns: { tag: ['a', 'b', 3] }
+ *
+ * // Dotted names build nested objects
+ * createObjectFromEntries([['--db.host', 'x'], ['--db.port', '5432']]);
+ * // Returns: { db: { host: 'x', port: 5432 } }
  * ```
  */
-const createObjectFromArguments = (argumentsv, mode) => {
-  const entries = [...argumentsv].map(argumentv => {
-    const [k, v] = argumentv.split('=');
-    const key = formatKey(k, mode);
-    const value = convertValue(v);
-    return [key, value];
+const createObjectFromEntries = (entries, options = {}) => {
+  const { keyCase, coerce = true, duplicates = 'last', delimiter = null, schema = {} } = options;
+  const { types = {}, report } = options;
+  const conversions = typeof coerce === 'object' ? coerce : {};
+  const result = Object.create(null);
+  const owners = new Map();
+
+  const rejectUnsafe = (name, unsafe, origin) => {
+    if (unsafe !== undefined) {
+      const message = format(ERROR_MESSAGES.UNSAFE_KEY, name, unsafe);
+      throw new ArgvParseError(ERROR_CODES.UNSAFE_KEY, message, origin);
+    }
+  };
+
+  const convert = (raw, { type, verbatim }, name, origin) => {
+    if (raw === undefined && (verbatim || !type)) return true;
+    if (verbatim) return raw;
+    if (type) return convertToType(raw, type, name, origin, { types, ...conversions });
+    if (typeof raw !== 'string' || !coerce) return raw;
+    if (conversions.json && VALUE_PATTERNS.JSON.test(raw)) return convertJson(raw, name, origin);
+    return convertValue(raw, conversions);
+  };
+
+  const toValue = (raw, definition, name, origin) => {
+    const value = convert(raw, definition, name, origin);
+    rejectUnsafe(name, findUnsafeKey(value), origin);
+    return value;
+  };
+
+  const toCount = (raw, name, origin) => {
+    const text = typeof raw === 'number' ? String(raw) : raw;
+    const count = typeof text === 'string' && VALUE_PATTERNS.INTEGER.test(text) ? Number(text) : -1;
+    if (Number.isSafeInteger(count) && count >= 0) return count;
+
+    const message = format(ERROR_MESSAGES.INVALID_OPTION_VALUE, name, 'count', text);
+    throw new ArgvParseError(ERROR_CODES.INVALID_VALUE, message, origin);
+  };
+
+  const policyOf = (name, type) => {
+    if (type === 'array') return 'array';
+    if (typeof duplicates === 'string') return duplicates;
+    return duplicates[name] ?? 'last';
+  };
+
+  const addEntry = ([option, raw, origin]) => {
+    const name = formatKey(option);
+    const path = toKeyPath(name, keyCase);
+    rejectUnsafe(
+      name,
+      path.find(key => UNSAFE_KEYS.includes(key)),
+      origin,
+    );
+
+    if (Object.values(RESERVED_KEYS).includes(path[0])) {
+      const message = format(ERROR_MESSAGES.RESERVED_KEY, name, path[0]);
+      throw new ArgvParseError(ERROR_CODES.KEY_COLLISION, message, origin);
+    }
+
+    const { type, items, raw: verbatim } = hasKey(schema, name) ? schema[name] : {};
+    const id = JSON.stringify(path);
+    const owner = owners.get(id) ?? name;
+
+    if (owner !== name) {
+      const message = format(ERROR_MESSAGES.KEY_COLLISION, owner, name, path.join('.'));
+      throw new ArgvParseError(ERROR_CODES.KEY_COLLISION, message, origin);
+    }
+
+    owners.set(id, name);
+    const parent = resolveParent(result, path, origin, name);
+    const key = path[path.length - 1];
+    const policy = policyOf(name, type);
+    const exists = hasKey(parent, key);
+
+    if (exists && parent[key] !== null && typeof parent[key] === 'object') {
+      if (!Array.isArray(parent[key])) {
+        const message = format(ERROR_MESSAGES.CONFLICTING_KEY_PATH, name, path.join('.'));
+        throw new ArgvParseError(ERROR_CODES.CONFLICTING_KEY, message, origin);
+      }
+    }
+
+    if (type === 'count') {
+      if (raw === undefined || raw === true) parent[key] = (exists ? parent[key] : 0) + 1;
+      else if (raw === false) parent[key] = 0;
+      else parent[key] = toCount(raw, name, origin);
+    } else if (policy === 'array') {
+      if (type === 'array' && raw === undefined) {
+        const message = format(ERROR_MESSAGES.MISSING_OPTION_VALUE, name);
+        throw new ArgvParseError(ERROR_CODES.MISSING_VALUE, message, origin);
+      }
+      const values = delimiter && typeof raw === 'string' ? raw.split(delimiter) : [raw].flat();
+      const converted = values.map(value =>
+        toValue(value, { type: items, verbatim }, name, origin),
+      );
+      parent[key] = [...(exists ? parent[key] : []), ...converted];
+    } else if (exists && policy === 'error') {
+      const message = format(ERROR_MESSAGES.DUPLICATE_OPTION, name);
+      throw new ArgvParseError(ERROR_CODES.DUPLICATE_OPTION, message, origin);
+    } else if (!exists || policy === 'last') {
+      parent[key] = toValue(raw, { type, verbatim }, name, origin);
+    }
+  };
+
+  entries.forEach(entry => attempt(() => addEntry(entry), report));
+
+  return result;
+};
+
+/**
+ * Expands a cluster of short Unix flags into individual `[name, value]` pairs.
+ *
+ * Every letter becomes its own flag. When a letter is an option that takes a
+ * value (listed in `valueOptions`), or it is followed by a number or an `=`,
+ * the rest of the cluster becomes its value.
+ *
+ * @exports
+ * @private
+ * @function expandShortCluster
+ * @param {string} argument - The raw cluster, e.g. `-abc`, `-ofile` or `-n5`.
+ * @param {Set<string>} [valueOptions] - Names of the short options that take a value.
+ * @returns {Array<Array<string|undefined>>|null} The pairs, or `null` if the cluster is malformed.
+ * @example
+ * ```js
+ * expandShortCluster('-xzf') // returns [['-x', undefined], ['-z', undefined], ['-f', undefined]]
+ * expandShortCluster('-ofile', new Set(['o'])) // returns [['-o', 'file']]
+ * expandShortCluster('-vn5') // returns [['-v', undefined], ['-n', '5']]
+ * expandShortCluster('-ab!') // returns null
+ * ```
+ */
+const expandShortCluster = (argument, valueOptions = new Set()) => {
+  const letters = argument.slice(1);
+  const entries = [];
+
+  for (let position = 0; position < letters.length; position += 1) {
+    const letter = letters[position];
+    const rest = letters.slice(position + 1);
+
+    if (!/^[a-zA-Z]$/.test(letter)) return null;
+
+    if (rest.startsWith('=')) {
+      entries.push([`-${letter}`, rest.slice(1)]);
+      return entries;
+    }
+
+    if (rest && (valueOptions.has(letter) || /^-?\d*\.?\d+$/.test(rest))) {
+      entries.push([`-${letter}`, rest]);
+      return entries;
+    }
+
+    entries.push([`-${letter}`, undefined]);
+  }
+
+  return entries;
+};
+
+/**
+ * Checks whether a token is an operand rather than an option, that is, whether
+ * it can be the value of the preceding option or a positional argument.
+ *
+ * Any token that does not look like an option qualifies, as well as negative
+ * numbers (`-5`, `-0.5`) and a lone dash (`-`, commonly standard input).
+ *
+ * @exports
+ * @private
+ * @function isOperand
+ * @param {string} [token] - The token to check.
+ * @returns {boolean} `true` if the token is an operand.
+ * @example
+ * ```js
+ * isOperand('John') // returns true
+ * isOperand('-5') // returns true
+ * isOperand('--verbose') // returns false
+ * isOperand() // returns false
+ * ```
+ */
+const isOperand = token => {
+  if (token === undefined) return false;
+  return !token.startsWith('-') || token === '-' || /^-\d*\.?\d+$/.test(token);
+};
+
+/**
+ * Finds the candidate closest to a mistyped name, to suggest it in an error.
+ *
+ * The distance is the number of characters to insert, delete, replace or swap
+ * to turn one name into the other. A candidate is only suggested when it is
+ * at most two edits away, and no more than half the length of `input`, so
+ * short names are not matched to unrelated ones.
+ *
+ * @exports
+ * @private
+ * @function findClosest
+ * @param {string} input - The mistyped name.
+ * @param {string[]|Set<string>} candidates - The known names.
+ * @returns {string|undefined} The closest candidate, or `undefined` if none is close enough.
+ * @example
+ * ```js
+ * findClosest('verbos', ['verbose', 'version']) // returns 'verbose'
+ * findClosest('dpeloy', ['deploy', 'db']) // returns 'deploy'
+ * findClosest('x', ['verbose']) // returns undefined
+ * ```
+ */
+const findClosest = (input, candidates) => {
+  const limit = Math.min(2, Math.floor(input.length / 2));
+
+  const distance = candidate => {
+    const rows = [Array.from({ length: candidate.length + 1 }, (_, column) => column)];
+
+    for (let i = 1; i <= input.length; i += 1) {
+      rows[i] = [i];
+
+      for (let j = 1; j <= candidate.length; j += 1) {
+        const cost = input[i - 1] === candidate[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+        if (
+          i > 1 &&
+          j > 1 &&
+          input[i - 1] === candidate[j - 2] &&
+          input[i - 2] === candidate[j - 1]
+        ) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return rows[input.length][candidate.length];
+  };
+
+  let closest;
+  let best = limit + 1;
+
+  [...candidates].forEach(candidate => {
+    const current = distance(candidate);
+
+    if (current < best) {
+      closest = candidate;
+      best = current;
+    }
   });
 
-  return Object.fromEntries(entries);
+  return closest;
+};
+
+/**
+ * Reads the environment variables that start with a prefix into `[name, value]`
+ * pairs, named after the long option each variable stands for.
+ *
+ * The prefix and the underscore after it are removed, the rest is lowercased
+ * and its single underscores become dashes, so `MYAPP_LOG_LEVEL` stands for
+ * `--log-level`. A double underscore separates nested keys, so
+ * `MYAPP_DB__HOST` stands for `--db.host`. Variables whose names cannot be an
+ * option name are ignored, and an empty prefix reads every variable. The name
+ * of each variable is kept as the `token` of its pair, for error reporting.
+ *
+ * @exports
+ * @private
+ * @function readEnvironment
+ * @param {string|object|false} env - The prefix, an object with a `prefix` and the `source` variables, or `false`.
+ * @returns {Array<Array<*>>} The `[name, value, origin]` triples, empty when `env` is `false`.
+ * @example
+ * ```js
+ * readEnvironment({ prefix: 'MYAPP', source: { MYAPP_LOG_LEVEL: 'debug', HOME: '/root' } });
+ * // Returns: [['log-level', 'debug', { token: 'MYAPP_LOG_LEVEL' }]]
+ *
+ * readEnvironment({ prefix: 'MYAPP', source: { MYAPP_DB__HOST: 'localhost' } });
+ * // Returns: [['db.host', 'localhost', { token: 'MYAPP_DB__HOST' }]]
+ * ```
+ */
+const readEnvironment = env => {
+  if (!env) return [];
+
+  const { prefix, source = process.env } = typeof env === 'string' ? { prefix: env } : env;
+  const start = prefix ? `${prefix}_` : '';
+
+  return Object.entries(source)
+    .filter(([variable, value]) => variable.startsWith(start) && typeof value === 'string')
+    .map(([variable, value]) => [variable.slice(start.length).split('__'), value, variable])
+    .filter(([segments]) =>
+      segments.every(segment => /^[a-zA-Z][a-zA-Z0-9]*(?:_[a-zA-Z0-9]+)*$/.test(segment)),
+    )
+    .map(([segments, value, variable]) => [
+      segments.map(segment => segment.toLowerCase().replace(/_/g, '-')).join('.'),
+      value,
+      { token: variable },
+    ]);
+};
+
+/**
+ * Checks whether a value is an array made only of strings.
+ *
+ * @exports
+ * @private
+ * @function isStringArray
+ * @param {*} value - The value to check.
+ * @returns {boolean} `true` if `value` is an array of strings.
+ * @example
+ * ```js
+ * isStringArray(['a', 'b']) // returns true
+ * isStringArray(['a', 1]) // returns false
+ * ```
+ */
+const isStringArray = value =>
+  Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * Validates the settings given to `parse()` and fills in the defaults.
+ *
+ * @exports
+ * @private
+ * @function resolveOptions
+ * @param {object} [options] - The settings provided by the caller.
+ * @returns {import('#constants').ParseOptions} Complete settings object.
+ * @throws {TypeError} If `options` is not a plain object or any setting has an invalid value.
+ * @example
+ * ```js
+ * resolveOptions({ mode: 'unix' });
+ * // Returns: { mode: 'unix', keyCase: 'snakecase', coerce: true, strict: true, ... }
+ * ```
+ */
+const resolveOptions = (options = {}) => {
+  if (!isPlainObject(options)) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_OPTIONS_TYPE);
+  }
+
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  if (!PARSE_MODES.includes(settings.mode)) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_MODE);
+  }
+
+  if (!Array.isArray(settings.dialects) || !settings.dialects.every(isDialect)) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_DIALECTS);
+  }
+
+  if (typeof settings.keyCase === 'string' && KEY_CASES.includes(`${settings.keyCase}case`)) {
+    settings.keyCase = `${settings.keyCase}case`;
+  }
+
+  if (typeof settings.keyCase !== 'function' && !KEY_CASES.includes(settings.keyCase)) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_KEY_CASE);
+  }
+
+  if (!(settings.keyPattern instanceof RegExp)) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_KEY_PATTERN);
+  }
+
+  const { coerce, types } = settings;
+  const isCoerceSetting = ([setting, enabled]) =>
+    COERCE_SETTINGS.includes(setting) && typeof enabled === 'boolean';
+
+  if (
+    typeof coerce !== 'boolean' &&
+    !(isPlainObject(coerce) && Object.entries(coerce).every(isCoerceSetting))
+  ) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_COERCE_TYPE);
+  }
+
+  if (
+    !isPlainObject(types) ||
+    Object.entries(types).some(
+      ([type, coercer]) => CORE_TYPES.includes(type) || typeof coercer !== 'function',
+    )
+  ) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_TYPES);
+  }
+
+  if (typeof settings.strict !== 'boolean') {
+    throw new TypeError(ERROR_MESSAGES.INVALID_STRICT_TYPE);
+  }
+
+  if (!isStringArray(settings.boolean)) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_BOOLEAN_TYPE);
+  }
+
+  if (!isStringArray(settings.string)) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_STRING_TYPE);
+  }
+
+  if (typeof settings.negate !== 'boolean') {
+    throw new TypeError(ERROR_MESSAGES.INVALID_NEGATE_TYPE);
+  }
+
+  if (!UNKNOWN_POLICIES.includes(settings.unknown)) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_UNKNOWN);
+  }
+
+  if (typeof settings.mirrorAliases !== 'boolean') {
+    throw new TypeError(ERROR_MESSAGES.INVALID_MIRROR_TYPE);
+  }
+
+  if (typeof settings.help !== 'boolean' && !isPlainObject(settings.help)) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_HELP);
+  }
+
+  if (typeof settings.completion !== 'boolean' && !isPlainObject(settings.completion)) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_COMPLETION);
+  }
+
+  const { env } = settings;
+  const isPrefix = prefix => typeof prefix === 'string' && prefix !== '';
+
+  if (
+    env !== false &&
+    !isPrefix(env) &&
+    !(
+      isPlainObject(env) &&
+      isPrefix(env.prefix) &&
+      (env.source === undefined || isPlainObject(env.source))
+    )
+  ) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_ENV);
+  }
+
+  const { config } = settings;
+
+  if (
+    config !== false &&
+    !isPrefix(config) &&
+    !(
+      isPlainObject(config) &&
+      (config.option === undefined || isPrefix(config.option)) &&
+      (config.path === undefined || isPrefix(config.path)) &&
+      (config.read === undefined || typeof config.read === 'function')
+    )
+  ) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_CONFIG);
+  }
+
+  const { duplicates, delimiter } = settings;
+  const isPolicy = policy => DUPLICATE_POLICIES.includes(policy);
+
+  if (
+    !isPolicy(duplicates) &&
+    !(isPlainObject(duplicates) && Object.values(duplicates).every(isPolicy))
+  ) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_DUPLICATES);
+  }
+
+  if (delimiter !== null && (typeof delimiter !== 'string' || delimiter === '')) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_DELIMITER);
+  }
+
+  const { minPositionals: min, maxPositionals: max } = settings;
+  const isCount = count => Number.isInteger(count) && count >= 0;
+
+  if (!isCount(min) || !(isCount(max) || max === Infinity) || min > max) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_POSITIONALS);
+  }
+
+  return settings;
 };
 
 // ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -118,7 +1090,44 @@ const createObjectFromArguments = (argumentsv, mode) => {
  * Utility functions for argument processing.
  *
  * @namespace
- * @property {Function} formatKey    - Key formatting/normalization function.
- * @property {Function} convertValue - Value type conversion function.
+ * @property {Function} formatKey          - Key formatting/normalization function.
+ * @property {Function} toOptionName       - Key to option name function.
+ * @property {Function} convertValue       - Value type conversion function.
+ * @property {Function} convertToType      - Declared type conversion function.
+ * @property {Function} reviveObject       - Null-prototype JSON reviver function.
+ * @property {Function} convertJson        - Inline JSON value parsing function.
+ * @property {Function} findUnsafeKey      - Reserved key detection function.
+ * @property {Function} resolveParent      - Nested path creation function.
+ * @property {Function} readPath           - Nested path lookup function.
+ * @property {Function} toKeyPath          - Nested key path parsing function.
+ * @property {Function} expandShortCluster - Short flag cluster expansion function.
+ * @property {Function} isOperand          - Operand token detection function.
+ * @property {Function} findClosest        - Typo suggestion function.
+ * @property {Function} attempt            - Error reporting function.
+ * @property {Function} readEnvironment    - Environment variable reading function.
+ * @property {Function} resolveOptions     - Settings validation function.
  */
-export { formatKey, convertValue, createObjectFromArguments };
+export {
+  formatKey,
+  toOptionName,
+  convertValue,
+  convertToType,
+  reviveObject,
+  convertJson,
+  hasKey,
+  findUnsafeKey,
+  resolveParent,
+  readPath,
+  splitArgument,
+  toKeyPath,
+  findInvalidCharacter,
+  createObjectFromEntries,
+  attempt,
+  expandShortCluster,
+  isOperand,
+  findClosest,
+  isStringArray,
+  isPlainObject,
+  readEnvironment,
+  resolveOptions,
+};
@@ -0,0 +1,258 @@
+/**
+ * @file Renders the usage and options help text of a command.
+ *
+ * This file defines the `formatHelp` function, which builds a usage line and a
+ * table of options from the same schema given to `parse()`, so the help text
+ * never drifts out of sync with the options that are actually parsed. It is a
+ * pure function: it returns the text and leaves printing it to the caller.
+ *
+ * @module help
+ * @since 1.2.0
+ *
+ * @example
+ * ```js
+ * formatHelp({
+ *   name: 'deploy',
+ *   schema: { env: { type: 'string', alias: 'e', description: 'Target environment' } },
+ * });
+ * // Returns:
+ * // Usage: deploy [options]
+ * //
+ * // Options:
+ * //   -e, --env <string>  Target environment
+ * ```
+ */
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT LOCAL MODULES
+import { ERROR_MESSAGES, FLAG_TYPES } from '#constants';
+import { isPlainObject } from '#functions';
+import { collectAliases, validateSchema } from '#schema';
+
+// ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Settings accepted by the `formatHelp()` function.
+ *
+ * @typedef  {object}          HelpOptions
+ * @property {string}          [name]        - Name of the command, `command` by default.
+ * @property {string}          [usage]       - Replaces the default `<name> [options]` usage.
+ * @property {string}          [description] - Text shown between the usage and the options.
+ * @property {object}          [schema]      - Definitions of the options, as given to `parse()`.
+ * @property {object}          [commands]    - Subcommands of the command, as given to `parseCommand()`.
+ * @property {object}          [alias]       - Map of alias names to option names.
+ * @property {object}          [types]       - Custom coercers, as given to `parse()`, whose names are valid types.
+ * @property {'simple'|'unix'} [mode]        - Syntax used to show the options, `unix` by default.
+ * @property {number}          [width]       - Maximum line width, `80` by default.
+ */
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Spaces before every row of the options table.
+ *
+ * @private
+ * @constant {string} INDENT
+ */
+const INDENT = '  ';
+
+/**
+ * Spaces between the two columns of the options table.
+ *
+ * @private
+ * @constant {string} GAP
+ */
+const GAP = '  ';
+
+/**
+ * Narrowest width the description column is wrapped to.
+ *
+ * @private
+ * @constant {number} MIN_DETAILS_WIDTH
+ */
+const MIN_DETAILS_WIDTH = 20;
+
+// ━━ FUNCTIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Wraps a text into lines no longer than `width`, breaking between words.
+ *
+ * @private
+ * @function wrapText
+ * @param {string} text - The text to wrap.
+ * @param {number} width - Maximum line width.
+ * @returns {string[]} The wrapped lines.
+ * @example
+ * ```js
+ * wrapText('one two three', 8) // returns ['one two', 'three']
+ * ```
+ */
+const wrapText = (text, width) =>
+  text
+    .split(/\s+/)
+    .filter(Boolean)
+    .reduce((lines, word) => {
+      const last = lines[lines.length - 1];
+      if (last !== undefined && last.length + 1 + word.length <= width) {
+        lines[lines.length - 1] = `${last} ${word}`;
+      } else {
+        lines.push(word);
+      }
+      return lines;
+    }, []);
+
+/**
+ * Builds the left column of an option row: its names and value placeholder.
+ * An option without a `type` shows a placeholder when it has `choices` or a
+ * default that is not a boolean.
+ *
+ * @private
+ * @function formatLabel
+ * @param {string} name - The option name.
+ * @param {string[]} others - The aliases of the option.
+ * @param {object} definition - The option definition.
+ * @param {'simple'|'unix'} mode - Syntax used to show the option.
+ * @returns {string} The label, e.g. `-p, --port <integer>`.
+ * @example
+ * ```js
+ * formatLabel('port', ['p'], { type: 'integer' }, 'unix') // returns '-p, --port <integer>'
+ * formatLabel('port', [], { type: 'integer' }, 'simple') // returns 'port=<integer>'
+ * ```
+ */
+const formatLabel = (name, others, definition, mode) => {
+  const { type, items, choices } = definition;
+  const guessed =
+    choices !== undefined || ('default' in definition && typeof definition.default !== 'boolean');
+  const names = [...others, name].sort((a, b) => a.length - b.length);
+  const placeholder = type === 'array' ? `<${items ?? 'value'}...>` : `<${type ?? 'value'}>`;
+
+  if (mode === 'simple') {
+    return `${names.join(', ')}=${placeholder}`;
+  }
+
+  const flags = names.map(option => (option.length === 1 ? `-${option}` : `--${option}`));
+  const label = names[0].length === 1 ? flags.join(', ') : `    ${flags.join(', ')}`;
+
+  const takesValue = type === undefined ? guessed : !FLAG_TYPES.includes(type);
+
+  return takesValue ? `${label} ${placeholder}` : label;
+};
+
+/**
+ * Builds the right column of an option row: its description and annotations.
+ *
+ * @private
+ * @function formatDetails
+ * @param {object} definition - The option definition.
+ * @param {string} [definition.description] - Text describing the option.
+ * @param {Array<*>} [definition.choices] - Allowed values.
+ * @param {boolean} [definition.required] - Whether the option must be provided.
+ * @returns {string} The details, e.g. `Port to listen on (default: 8080)`.
+ * @example
+ * ```js
+ * formatDetails({ description: 'Target', choices: ['dev', 'prod'], required: true });
+ * // Returns: 'Target (choices: dev, prod) (required)'
+ * ```
+ */
+const formatDetails = ({ description, choices, required, ...definition }) =>
+  [
+    description,
+    choices && `(choices: ${choices.join(', ')})`,
+    'default' in definition && `(default: ${JSON.stringify(definition.default)})`,
+    required && '(required)',
+  ]
+    .filter(Boolean)
+    .join(' ');
+
+/**
+ * Lays out `[label, details]` rows as a two-column table that fits in `width`.
+ *
+ * @private
+ * @function formatTable
+ * @param {Array<string[]>} rows - The `[label, details]` rows.
+ * @param {number} width - Maximum line width.
+ * @returns {string[]} The lines of the table.
+ * @example
+ * ```js
+ * formatTable([['-v, --verbose', 'Print more']], 80) // returns ['  -v, --verbose  Print more']
+ * ```
+ */
+const formatTable = (rows, width) => {
+  const widest = Math.max(...rows.map(([label]) => label.length));
+  const labelWidth = Math.min(widest, Math.floor(width * 0.4));
+  const available = Math.max(width - INDENT.length - labelWidth - GAP.length, MIN_DETAILS_WIDTH);
+  const padding = ' '.repeat(INDENT.length + labelWidth + GAP.length);
+
+  return rows.flatMap(([label, details]) => {
+    const [first = '', ...rest] = wrapText(details, available);
+    const following = rest.map(line => `${padding}${line}`);
+
+    if (label.length > labelWidth) {
+      return [`${INDENT}${label}`, ...(first ? [`${padding}${first}`] : []), ...following];
+    }
+
+    return [`${INDENT}${label.padEnd(labelWidth)}${GAP}${first}`.trimEnd(), ...following];
+  });
+};
+
+// ━━ MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * The `formatHelp()` function, renders the usage and options help text of a
+ * command from its option definitions.
+ *
+ * @function
+ * @param {HelpOptions} [options] - The command and option metadata.
+ * @returns {string} The help text, without a trailing newline.
+ * @throws {TypeError} If `options` is not an object, `width` is not a positive integer, or `schema` or `commands` is invalid.
+ * @example
+ * ```js
+ * const text = formatHelp({
+ *   name: 'serve',
+ *   description: 'Serves the current directory.',
+ *   schema: { port: { type: 'integer', alias: 'p', default: 8080, description: 'Port' } },
+ * });
+ * console.log(text);
+ * ```
+ */
+const formatHelp = (options = {}) => {
+  if (!isPlainObject(options)) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_HELP);
+  }
+
+  const { name = 'command', usage, description, schema = {}, alias = {} } = options;
+  const { commands = {}, types = {}, mode = 'unix', width = 80 } = options;
+
+  if (!Number.isInteger(width) || width <= 0) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_HELP_WIDTH);
+  }
+
+  const aliases = collectAliases(validateSchema(schema, types), alias);
+  const aliasesOf = option => [...aliases].filter(([, target]) => target === option);
+
+  const rows = Object.entries(schema).map(([option, definition]) => [
+    formatLabel(
+      option,
+      aliasesOf(option).map(([other]) => other),
+      definition,
+      mode,
+    ),
+    formatDetails(definition),
+  ]);
+
+  if (!isPlainObject(commands) || !Object.values(commands).every(isPlainObject)) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_COMMANDS);
+  }
+
+  const commandRows = Object.entries(commands).map(([command, definition]) => [
+    command,
+    definition.description ?? '',
+  ]);
+
+  const command = commandRows.length > 0 ? `${name} <command>` : name;
+  const lines = [`Usage: ${usage ?? `${command} [options]`}`];
+
+  if (description) lines.push('', ...wrapText(description, width));
+  if (commandRows.length > 0) lines.push('', 'Commands:', ...formatTable(commandRows, width));
+  if (rows.length > 0) lines.push('', 'Options:', ...formatTable(rows, width));
+
+  return lines.join('\n');
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+export default formatHelp;
@@ -0,0 +1,236 @@
+/**
+ * @file Converts a key-value object back to command-line arguments.
+ *
+ * The reverse of `parse()`: nested objects become dotted option names, arrays
+ * of values become repeated options, arrays of objects become indexed names,
+ * booleans become flags, and the keys are turned back into option names from
+ * the casing they were formatted with. Parsing the result with the same
+ * settings gives the object back, as far as `parse()` reads the values back
+ * as the same types.
+ *
+ * @module object2Argv
+ * @since 1.2.0
+ *
+ * @example
+ * ```js
+ * object2Argv({ name: 'John', is_admin: true }, { mode: 'unix' });
+ * // Returns: ['--name=John', '--is-admin']
+ *
+ * object2Argv({ db: { host: 'localhost' }, tags: ['a', 'b'] });
+ * // Returns: ['db.host=localhost', 'tags=a', 'tags=b']
+ * ```
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+import { format } from 'node:util';
+
+// » IMPORT LOCAL MODULES
+import { ERROR_MESSAGES, RESERVED_KEYS } from '#constants';
+import { findInvalidCharacter, isPlainObject, resolveOptions, toOptionName } from '#functions';
+
+// ━━ FUNCTIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Lists the leaves of an object as `[path, value]` pairs. Arrays that hold
+ * only plain values are leaves too, to be written as repeated options, unless
+ * they are the item of another array; the items of any other array are
+ * reached through their index.
+ *
+ * @private
+ * @function flatten
+ * @param {*} value - The value to walk.
+ * @param {Array<string|number>} [path] - The keys and indices that lead to `value`.
+ * @returns {Array<Array>} The `[path, value]` pairs, `undefined` values left out.
+ * @example
+ * ```js
+ * flatten({ db: { host: 'x' }, servers: [{ port: 80 }] });
+ * // Returns: [[['db', 'host'], 'x'], [['servers', 0, 'port'], 80]]
+ *
+ * flatten({ a: [1, [2, 3]] });
+ * // Returns: [[['a', 0], 1], [['a', 1, 0], 2], [['a', 1, 1], 3]]
+ * ```
+ */
+const flatten = (value, path = []) => {
+  const isNode = item =>
+    isPlainObject(item) && [Object.prototype, null].includes(Object.getPrototypeOf(item));
+
+  if (isNode(value)) {
+    return Object.entries(value).flatMap(([key, child]) => flatten(child, [...path, key]));
+  }
+
+  const indexed = typeof path[path.length - 1] === 'number';
+
+  if (
+    Array.isArray(value) &&
+    (indexed || value.some(item => isNode(item) || Array.isArray(item)))
+  ) {
+    return value.flatMap((child, index) => flatten(child, [...path, index]));
+  }
+
+  return [value]
+    .flat()
+    .filter(item => item !== undefined)
+    .map(item => [path, item]);
+};
+
+/**
+ * Writes a value as the text `parse()` reads it from.
+ *
+ * @private
+ * @function stringify
+ * @param {*} value - The value to write.
+ * @returns {string} The text of the value, dates in ISO 8601.
+ * @example
+ * ```js
+ * stringify(new Date(0)) // returns '1970-01-01T00:00:00.000Z'
+ * stringify(10n) // returns '10'
+ * ```
+ */
+const stringify = value => (value instanceof Date ? value.toISOString() : String(value));
+
+/**
+ * Quotes an argument for a POSIX shell, leaving it as it is when it has no
+ * character the shell would interpret.
+ *
+ * @private
+ * @function quoteArgument
+ * @param {string} argument - The argument to quote.
+ * @returns {string} The argument, safe to paste in a shell command line.
+ * @example
+ * ```js
+ * quoteArgument('--name=John') // returns '--name=John'
+ * quoteArgument("--msg=it's done") // returns `'--msg=it'\''s done'`
+ * ```
+ */
+const quoteArgument = argument =>
+  /^[\w@%+=:,./-]+$/.test(argument) ? argument : `'${argument.replace(/'/g, `'\\''`)}'`;
+
+/**
+ * Builds the option name of a leaf from its path: each key is turned back into
+ * an option name, keys are joined with dots and indices are written in
+ * brackets.
+ *
+ * @private
+ * @function toName
+ * @param {Array<string|number>} path - The keys and indices of the leaf.
+ * @param {import('#constants').ParseOptions} settings - The resolved settings.
+ * @returns {string} The option name, without dashes.
+ * @throws {TypeError} If the name has a character the key grammar does not allow.
+ * @example
+ * ```js
+ * toName(['servers', 0, 'hostName'], { keyCase: 'camelcase', keyPattern: KEY_PATTERN });
+ * // Returns: 'servers[0].host-name'
+ * ```
+ */
+const toName = (path, { keyCase, keyPattern }) => {
+  const name = path
+    .map(key => (typeof key === 'number' ? `[${key}]` : `.${toOptionName(key, keyCase)}`))
+    .join('')
+    .slice(1);
+  const invalid = name === '' ? 0 : findInvalidCharacter(name, keyPattern);
+
+  if (invalid !== -1) {
+    const character = name === '' ? '' : String.fromCodePoint(name.codePointAt(invalid));
+    throw new TypeError(format(ERROR_MESSAGES.INVALID_KEY_CHARACTER, name, character, invalid + 1));
+  }
+
+  return name;
+};
+
+/**
+ * Writes one option in the Unix syntax: `-k` for single-letter names, `--key`
+ * otherwise, `true` as a bare flag and `false` as `--no-key` when negation is
+ * enabled and the name can be negated.
+ *
+ * @private
+ * @function toUnixArgument
+ * @param {string} name - The option name.
+ * @param {*} value - The value of the option.
+ * @param {boolean} negate - Whether `--no-key` is read as `false`.
+ * @returns {string} The argument.
+ * @example
+ * ```js
+ * toUnixArgument('v', true, true) // returns '-v'
+ * toUnixArgument('cache', false, true) // returns '--no-cache'
+ * toUnixArgument('port', 8080, true) // returns '--port=8080'
+ * ```
+ */
+const toUnixArgument = (name, value, negate) => {
+  const flag = /^[a-zA-Z]$/.test(name) ? `-${name}` : `--${name}`;
+  const negated = negate && name.startsWith('no-');
+
+  if (value === true && !negated) return flag;
+  if (value === false && negate && !name.includes('[')) return `--no-${name}`;
+
+  return `${flag}=${stringify(value)}`;
+};
+
+// ━━ MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * The `object2Argv()` function, converts a key-value object to command-line
+ * arguments that `parse()` reads back into the same object.
+ *
+ * It takes the settings of `parse()`, so the same object can be given to
+ * both. The `mode` sets the syntax (`mixed` is written in the Unix syntax),
+ * the `keyCase` is the casing the keys are in, and `negate` whether `false`
+ * is written as `--no-key`. The keys of a `keyCase` function are written as
+ * they are. The positional arguments in `_` are written before the options,
+ * where no flag can take them as its value, the raw arguments in `--unknown`
+ * verbatim after the options, and the arguments in `--` after a `--`
+ * separator. Values are written as text: strings that look like numbers or
+ * booleans are read back as such unless `coerce` is disabled or a schema
+ * declares them as strings.
+ *
+ * @function
+ * @param {object} object - The key-value object to convert.
+ * @param {object} [options] - The `parse()` settings, plus `quote` to quote the arguments for a POSIX shell.
+ * @returns {string[]} The command-line arguments.
+ * @throws {TypeError} If `object` is not a plain object, `options` is invalid, or a key cannot be written as an option name.
+ * @example
+ * ```js
+ * object2Argv({ outputFormat: 'json', dryRun: false }, { mode: 'unix', keyCase: 'camelcase' });
+ * // Returns: ['--output-format=json', '--no-dry-run']
+ *
+ * object2Argv({ servers: [{ host: 'a' }], _: ['deploy'] }, { mode: 'unix' });
+ * // Returns: ['deploy', '--servers[0].host=a']
+ *
+ * object2Argv({ msg: 'fix login' }, { mode: 'unix', quote: true }).join(' ');
+ * // Returns: "'--msg=fix login'"
+ * ```
+ */
+const object2Argv = (object, options = {}) => {
+  if (!isPlainObject(object)) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_OBJECT_TYPE);
+  }
+
+  const { quote = false, ...settings } = resolveOptions(options);
+
+  if (typeof quote !== 'boolean') {
+    throw new TypeError(ERROR_MESSAGES.INVALID_QUOTE_TYPE);
+  }
+
+  const {
+    [RESERVED_KEYS.POSITIONALS]: positionals = [],
+    [RESERVED_KEYS.PASSTHROUGH]: passthrough = [],
+    [RESERVED_KEYS.UNKNOWN]: unknown = [],
+    ...values
+  } = object;
+
+  const rest = [passthrough].flat();
+  const argv = [
+    ...[positionals].flat().map(stringify),
+    ...flatten(values).map(([path, value]) => {
+      const name = toName(path, settings);
+      return settings.mode === 'simple'
+        ? `${name}=${stringify(value)}`
+        : toUnixArgument(name, value, settings.negate);
+    }),
+    ...[unknown].flat().map(stringify),
+    ...(rest.length > 0 ? ['--', ...rest.map(stringify)] : []),
+  ];
+
+  return quote ? argv.map(quoteArgument) : argv;
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+export default object2Argv;
@@ -0,0 +1,681 @@
+/**
+ * @file Parses an explicit list of command-line arguments.
+ *
+ * This file defines the `parse` function, the core of the argv2object library.
+ * Unlike `argv2Object`, which always reads `process.argv`, it accepts any array
+ * of strings, so argument lists built by the caller (child process arguments,
+ * REPL input, argv forwarded from a wrapper) can be parsed the same way.
+ *
+ * @module parse
+ * @since 1.2.0
+ *
+ * @example
+ * ```js
+ * parse(['--name=John', '--is-admin'], { mode: 'unix', keyCase: 'camelcase' });
+ * // Returns: { name: 'John', isAdmin: true }
+ * ```
+ */
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+import { basename } from 'node:path';
+import { format } from 'node:util';
+
+// » IMPORT LOCAL MODULES
+import { COMPLETION_OPTION, getCompletions, writeCompletions } from '#completion';
+import loadConfig from '#config';
+import {
+  COMMAND_LINE_PATTERNS,
+  ERROR_CODES,
+  ERROR_MESSAGES,
+  KEY_PATTERN,
+  RESERVED_KEYS,
+  UNSAFE_KEYS,
+  createCommandLinePatterns,
+} from '#constants';
+import readDialect from '#dialects';
+import ArgvParseError from '#errors';
+import {
+  attempt,
+  createObjectFromEntries,
+  expandShortCluster,
+  findClosest,
+  findInvalidCharacter,
+  formatKey,
+  isOperand,
+  readEnvironment,
+  resolveOptions,
+  splitArgument,
+  toKeyPath,
+} from '#functions';
+import formatHelp from '#help';
+import {
+  applyAliases,
+  applySchema,
+  collectAliases,
+  copyToAliases,
+  getSchemaArity,
+  validateSchema,
+} from '#schema';
+
+// ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Result of the `safeParse()` function.
+ *
+ * @typedef  {object}           SafeParseResult
+ * @property {boolean}          success         - `true` if every argument was parsed without errors.
+ * @property {object}           data            - The parsed object, with the options that could be read even when some failed.
+ * @property {ArgvParseError[]} errors          - Every problem found, empty on success.
+ */
+
+// ━━ FUNCTIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Prints the help text built from the parse settings, with a `help` option
+ * added to the table when the schema does not declare one.
+ *
+ * @private
+ * @function printHelp
+ * @param {import('#constants').ParseOptions} settings - The resolved parse settings.
+ * @param {boolean} short - Whether `-h` is free to be shown as an alias of `--help`.
+ * @returns {void}
+ * @throws {TypeError} If the help settings are invalid.
+ * @example
+ * ```js
+ * printHelp({ ...settings, help: { name: 'serve', write: console.log } }, true);
+ * ```
+ */
+const printHelp = (settings, short) => {
+  const { write = text => process.stdout.write(text), ...config } =
+    settings.help === true ? {} : settings.help;
+
+  if (typeof write !== 'function') {
+    throw new TypeError(ERROR_MESSAGES.INVALID_HELP);
+  }
+
+  const help = {
+    type: 'boolean',
+    ...(short && { alias: 'h' }),
+    description: 'Show this help text',
+  };
+  const schema = 'help' in settings.schema ? settings.schema : { help, ...settings.schema };
+
+  const text = formatHelp({
+    name: basename(process.argv[1] ?? 'command'),
+    width: process.stdout.columns || 80,
+    mode: settings.mode,
+    alias: settings.alias,
+    types: settings.types,
+    ...config,
+    schema,
+  });
+
+  write(`${text}\n`);
+};
+
+/**
+ * Lists the options that never take a value and those that always do, with
+ * every alias inheriting the arity of the option it stands for, and every
+ * option name declared in the settings, used to find unknown options and to
+ * suggest fixes for typos.
+ *
+ * @private
+ * @function getArity
+ * @param {import('#constants').ParseOptions} settings - The resolved parse settings.
+ * @param {object} schema - A valid schema.
+ * @param {Map<string, string>} aliases - Map of alias names to option names.
+ * @returns {{flags: Set<string>, valueOptions: Set<string>, known: Set<string>}} The option names, by arity.
+ * @example
+ * ```js
+ * getArity({ ...settings, boolean: ['dry'] }, {}, new Map([['d', 'dry']]));
+ * // Returns: { flags: Set { 'dry', 'd' }, valueOptions: Set {}, known: Set { 'dry', 'd' } }
+ * ```
+ */
+const getArity = (settings, schema, aliases) => {
+  const arity = getSchemaArity(schema);
+  const flags = new Set([...settings.boolean, ...arity.flags]);
+  const valueOptions = new Set([...settings.string, ...arity.values]);
+
+  aliases.forEach((name, alias) => {
+    if (flags.has(name)) flags.add(alias);
+    if (valueOptions.has(name)) valueOptions.add(alias);
+  });
+
+  const known = new Set([
+    ...flags,
+    ...valueOptions,
+    ...Object.keys(schema),
+    ...aliases.keys(),
+    ...aliases.values(),
+  ]);
+
+  if (settings.config) {
+    const { config } = settings;
+    known.add(typeof config === 'string' ? config : (config.option ?? 'config'));
+  }
+
+  return { flags, valueOptions, known };
+};
+
+/**
+ * Checks whether two option names point to the same key once formatted, or
+ * one of them to a key nested in the other.
+ *
+ * @private
+ * @function sharesPath
+ * @param {string} name - An option name.
+ * @param {string} other - Another option name.
+ * @param {string|Function} [keyCase] - Casing applied to keys.
+ * @returns {boolean} `true` if setting both would touch the same key.
+ * @example
+ * ```js
+ * sharesPath('db', 'db.host') // returns true
+ * sharesPath('db.host', 'db.port') // returns false
+ * sharesPath('dry-run', 'dry_run', 'snakecase') // returns true
+ * ```
+ */
+const sharesPath = (name, other, keyCase) => {
+  const path = toKeyPath(name, keyCase);
+  const otherPath = toKeyPath(other, keyCase);
+  return path.every((key, index) => index >= otherPath.length || key === otherPath[index]);
+};
+
+/**
+ * Spells the known option closest to a mistyped name the way it should have
+ * been given, to suggest it in an error.
+ *
+ * @private
+ * @function suggestOption
+ * @param {string} name - The mistyped option name, without dashes.
+ * @param {string} [value] - The value given with it, kept in the `simple` mode suggestion.
+ * @param {Set<string>} known - The known option names.
+ * @param {boolean} unixmode - Whether the option was given in the Unix syntax.
+ * @returns {string|undefined} The suggestion, or `undefined` if no option is close enough.
+ * @example
+ * ```js
+ * suggestOption('dryrun', undefined, new Set(['dry-run']), true) // returns '--dry-run'
+ * suggestOption('prot', '80', new Set(['port']), false) // returns 'port=80'
+ * ```
+ */
+const suggestOption = (name, value, known, unixmode) => {
+  const closest = findClosest(name, known);
+
+  if (closest === undefined) return undefined;
+  if (unixmode) return closest.length === 1 ? `-${closest}` : `--${closest}`;
+  return value === undefined ? undefined : `${closest}=${value}`;
+};
+
+/**
+ * Reads the arguments that come before `--` into `[name, value, origin]`
+ * triples and the positions of the operands that are not the value of an
+ * option. The `origin` of a triple holds the argument it was read from and
+ * its position, for error reporting, and the `raw` arguments that gave the
+ * option, to forward it as it was given. An argument that does not follow the
+ * format of `mode` is reported to `report`, or thrown when there is none. When
+ * the name of such an option breaks the `keyPattern` grammar, the error names
+ * the first invalid character and its position in the name.
+ *
+ * Arguments written in one of the enabled `dialects` are read first, and never
+ * take the next argument as their value. In `mixed` mode, `key=value` pairs and
+ * Unix options are both accepted, and a `key=value` pair is never taken as the
+ * value of the option before it. Neither is one of the `commands` names, unless
+ * the option is declared to take a value.
+ *
+ * @private
+ * @function readArguments
+ * @param {string[]} optionsv - The arguments before `--`.
+ * @param {import('#constants').ParseOptions} settings - The resolved parse settings.
+ * @param {{flags: Set<string>, valueOptions: Set<string>, known: Set<string>, commands: Set<string>}} arity - The option names, by arity, and the subcommand names.
+ * @param {Function} [report] - Receives the error of each malformed argument, instead of throwing it.
+ * @returns {{entries: Array<Array<*>>, operands: number[]}} The triples and operand positions.
+ * @throws {ArgvParseError} If `strict` is enabled and an argument does not follow the format of `mode` or uses an unsafe key.
+ * @example
+ * ```js
+ * readArguments(['--env', 'prod', 'deploy'], { ...settings, mode: 'unix' }, arity);
+ * // Returns: { entries: [['--env', 'prod', { token: '--env', index: 0, raw: ['--env', 'prod'] }]], operands: [2] }
+ * ```
+ */
+const readArguments = (optionsv, settings, arity, report = null) => {
+  const { flags, valueOptions, known = new Set(), commands = new Set() } = arity;
+  const { mode, dialects, keyPattern } = settings;
+  const unixmode = mode !== 'simple';
+  const { UNIX_LONG, UNIX_SHORT, SIMPLE, UNIX_NEGATED } =
+    keyPattern === KEY_PATTERN ? COMMAND_LINE_PATTERNS : createCommandLinePatterns(keyPattern);
+  const patterns = [
+    ...(unixmode ? [UNIX_LONG, UNIX_SHORT] : []),
+    ...(mode === 'unix' ? [] : [SIMPLE]),
+  ];
+  const messages = {
+    simple: ERROR_MESSAGES.NO_MATCH_SIMPLE,
+    unix: ERROR_MESSAGES.NO_MATCH_UNIXMODE,
+    mixed: ERROR_MESSAGES.NO_MATCH_MIXED,
+  };
+
+  const entries = [];
+  const operands = [];
+
+  const readOption = argument => {
+    const pair = readDialect(argument, dialects);
+
+    if (pair) return [pair];
+    if (!patterns.some(pattern => pattern.test(argument))) return null;
+    if (unixmode && UNIX_SHORT.test(argument)) {
+      return expandShortCluster(argument, valueOptions);
+    }
+    if (
+      unixmode &&
+      settings.negate &&
+      UNIX_NEGATED.test(argument) &&
+      !flags.has(formatKey(argument)) &&
+      !valueOptions.has(formatKey(argument))
+    ) {
+      return [[`--${argument.slice('--no-'.length)}`, false]];
+    }
+    return [splitArgument(argument)];
+  };
+
+  for (let index = 0; index < optionsv.length; index += 1) {
+    const argument = optionsv[index];
+    const found = readOption(argument);
+
+    if (found) {
+      const origins = found.map(([flag, value]) => ({
+        token: argument,
+        index,
+        raw: [found.length === 1 ? argument : `${flag}${value ?? ''}`],
+      }));
+      const last = found[found.length - 1];
+      const next = optionsv[index + 1];
+      const takesNext =
+        unixmode &&
+        last[1] === undefined &&
+        !flags.has(formatKey(last[0])) &&
+        readDialect(argument, dialects) === null &&
+        isOperand(next) &&
+        readOption(next) === null &&
+        !(commands.has(next) && !valueOptions.has(formatKey(last[0])));
+
+      if (takesNext) {
+        last[1] = next;
+        origins[origins.length - 1].raw.push(next);
+        index += 1;
+      }
+
+      entries.push(...found.map((entry, position) => [...entry, origins[position]]));
+    } else if (isOperand(argument) && (mode === 'unix' || !argument.includes('='))) {
+      operands.push(index);
+    } else if (settings.strict) {
+      const [name, value] = argument.replace(/^-+/, '').split(/=(.*)/s);
+      const unsafe = name.split(/[.[\]]/).find(key => UNSAFE_KEYS.includes(key));
+      const invalid = /^-(?!-)/.test(argument) ? -1 : findInvalidCharacter(name, keyPattern);
+      const message =
+        invalid === -1
+          ? messages[mode]
+          : format(
+              ERROR_MESSAGES.INVALID_KEY_CHARACTER,
+              name,
+              String.fromCodePoint(name.codePointAt(invalid)),
+              invalid + 1,
+            );
+      const suggestion = suggestOption(name, value, known, unixmode && argument.startsWith('-'));
+      const origin = { token: argument, index };
+      const { UNSAFE_KEY } = ERROR_MESSAGES;
+      const error =
+        unsafe === undefined
+          ? new ArgvParseError(ERROR_CODES.INVALID_FORMAT, message, { ...origin, suggestion })
+          : new ArgvParseError(ERROR_CODES.UNSAFE_KEY, format(UNSAFE_KEY, name, unsafe), origin);
+      if (!report) throw error;
+      report(error);
+    }
+  }
+
+  return { entries, operands };
+};
+
+/**
+ * Checks whether an option name is declared, or names a key nested in a
+ * declared option (`db.host` when `db` is declared).
+ *
+ * @private
+ * @function isKnown
+ * @param {string} name - The option name, without dashes.
+ * @param {Set<string>} known - The declared option names.
+ * @returns {boolean} `true` if the option is declared.
+ * @example
+ * ```js
+ * isKnown('db.host', new Set(['db'])) // returns true
+ * isKnown('dryrun', new Set(['dry-run'])) // returns false
+ * ```
+ */
+const isKnown = (name, known) =>
+  known.has(name) ||
+  [...known].some(outer => name.startsWith(`${outer}.`) || name.startsWith(`${outer}[`));
+
+/**
+ * Applies the `unknown` policy to the `[name, value, origin]` triples read
+ * from the arguments. `keep` leaves every option, `strip` drops the options
+ * that are not declared, `strict` reports them as errors and `passthrough`
+ * drops them and collects the arguments they were given with.
+ *
+ * @private
+ * @function filterUnknown
+ * @param {Array<Array<*>>} entries - The triples read from the arguments.
+ * @param {import('#constants').ParseOptions} settings - The resolved parse settings.
+ * @param {Set<string>} known - The declared option names.
+ * @param {Function} [report] - Receives the error of each unknown option in `strict` mode, instead of throwing it.
+ * @returns {{entries: Array<Array<*>>, unknown: string[]}} The declared triples and the raw arguments of the unknown ones.
+ * @throws {ArgvParseError} If `unknown` is `strict`, an option is not declared and there is no `report`.
+ * @example
+ * ```js
+ * filterUnknown([['--dryrun', undefined, { raw: ['--dryrun'] }]], { ...settings, unknown: 'passthrough' }, known);
+ * // Returns: { entries: [], unknown: ['--dryrun'] }
+ * ```
+ */
+const filterUnknown = (entries, settings, known, report = null) => {
+  const unknown = [];
+
+  if (settings.unknown === 'keep') return { entries, unknown };
+
+  const declared = entries.filter(([option, value, origin]) => {
+    const name = formatKey(option);
+    if (isKnown(name, known)) return true;
+
+    if (settings.unknown === 'passthrough') unknown.push(...origin.raw);
+
+    if (settings.unknown === 'strict') {
+      const unixmode = settings.mode !== 'simple' && origin.token.startsWith('-');
+      const flag = name.length === 1 ? `-${name}` : `--${name}`;
+      const message = format(ERROR_MESSAGES.UNKNOWN_OPTION, unixmode ? flag : name);
+      const suggestion = suggestOption(name, value, known, unixmode);
+      const error = new ArgvParseError(ERROR_CODES.UNKNOWN_OPTION, message, {
+        ...origin,
+        suggestion,
+      });
+      if (!report) throw error;
+      report(error);
+    }
+
+    return false;
+  });
+
+  return { entries: declared, unknown };
+};
+
+// ━━ MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * The `safeParse()` function, parses a list of command-line arguments like
+ * `parse()` does, but reports every problem instead of stopping at the first.
+ *
+ * A malformed argument, a value of the wrong type or a rule of the `schema`
+ * that is broken is collected into `errors` and parsing goes on with the next
+ * argument, so a command can show all of its problems at once. The `data`
+ * object holds the options that could be read, and the defaults of the
+ * schema. Invalid settings are still thrown, since they are a mistake in the
+ * code rather than in the arguments.
+ *
+ * @function
+ * @param {string[]} argv - The arguments to parse, without the node executable and script path.
+ * @param {import('#constants').ParseOptions} [options] - Settings that control how the arguments are parsed.
+ * @returns {SafeParseResult} Whether parsing succeeded, the parsed object and every error found.
+ * @throws {TypeError} If `argv` is not an array of strings or `options` is invalid.
+ * @example
+ * ```js
+ * safeParse(['--port', 'x', '--env', 'qa'], {
+ *   mode: 'unix',
+ *   schema: { port: { type: 'integer' }, env: { choices: ['dev', 'prod'] } },
+ * });
+ * // Returns: { success: false, data: { env: 'qa' }, errors: [ArgvParseError, ArgvParseError] }
+ * ```
+ */
+const safeParse = (argv, options) => {
+  if (!Array.isArray(argv) || argv.some(argument => typeof argument !== 'string')) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_ARGV_TYPE);
+  }
+
+  const settings = resolveOptions(options);
+  const schema = validateSchema(settings.schema, settings.types);
+  const aliases = collectAliases(schema, settings.alias);
+  const arity = getArity(settings, schema, aliases);
+
+  const terminator = argv.indexOf('--');
+  const optionsv = terminator === -1 ? argv : argv.slice(0, terminator);
+  const passthrough = terminator === -1 ? [] : argv.slice(terminator + 1);
+
+  if (settings.completion && argv[0] === COMPLETION_OPTION) {
+    writeCompletions(settings.completion, getCompletions(argv.slice(1), settings));
+    const data = Object.assign(Object.create(null), { completions: true });
+    return { success: true, data, errors: [] };
+  }
+
+  if (settings.help) {
+    const short =
+      !aliases.has('h') &&
+      !('h' in schema) &&
+      !arity.flags.has('h') &&
+      !arity.valueOptions.has('h');
+
+    const windows = settings.dialects.includes('windows') && optionsv.includes('/?');
+
+    if (optionsv.includes('--help') || (short && optionsv.includes('-h')) || windows) {
+      printHelp(settings, short);
+      const data = Object.assign(Object.create(null), { help: true });
+      return { success: true, data, errors: [] };
+    }
+  }
+
+  const accumulates = name =>
+    ['array', 'count'].includes(schema[name]?.type) ||
+    (typeof settings.duplicates === 'string' ? settings.duplicates : settings.duplicates[name]) ===
+      'array';
+
+  const errors = [];
+  const report = error => errors.push(error);
+
+  const read = readArguments(optionsv, settings, arity, report);
+  const { entries, unknown } = filterUnknown(read.entries, settings, arity.known, report);
+  const { operands } = read;
+  const positionals = operands.map(index => optionsv[index]);
+
+  if (positionals.length < settings.minPositionals) {
+    const { TOO_FEW_POSITIONALS } = ERROR_CODES;
+    report(new ArgvParseError(TOO_FEW_POSITIONALS, ERROR_MESSAGES.TOO_FEW_POSITIONALS));
+  }
+
+  if (positionals.length > settings.maxPositionals) {
+    const index = operands[settings.maxPositionals];
+    const { TOO_MANY_POSITIONALS } = ERROR_CODES;
+    const details = { token: optionsv[index], index };
+    report(new ArgvParseError(TOO_MANY_POSITIONALS, ERROR_MESSAGES.TOO_MANY_POSITIONALS, details));
+  }
+
+  const declared = layer =>
+    settings.unknown === 'keep' ? layer : layer.filter(([name]) => isKnown(name, arity.known));
+
+  const given = applyAliases(entries, aliases, accumulates, report);
+  const environment = declared(
+    applyAliases(readEnvironment(settings.env), aliases, accumulates, report),
+  );
+  const prefix = typeof settings.env === 'string' ? settings.env : settings.env.prefix;
+  const loaded = attempt(
+    () => loadConfig(settings.config, [...environment, ...given], prefix),
+    report,
+  );
+  const configured = declared(applyAliases(loaded ?? [], aliases, accumulates, report));
+
+  const layered = [configured, environment, given].reduceRight(
+    (higher, layer) => [
+      ...layer.filter(
+        ([name]) => !higher.some(([other]) => sharesPath(name, other, settings.keyCase)),
+      ),
+      ...higher,
+    ],
+    [],
+  );
+
+  const origins = new Map(layered.map(([name, , origin]) => [name, origin]));
+  const built = createObjectFromEntries(layered, { ...settings, report });
+  const result = applySchema(built, schema, settings.keyCase, origins, report);
+
+  if (settings.mirrorAliases) copyToAliases(result, aliases, settings.keyCase);
+
+  if (positionals.length > 0) result[RESERVED_KEYS.POSITIONALS] = positionals;
+  if (passthrough.length > 0) result[RESERVED_KEYS.PASSTHROUGH] = passthrough;
+  if (unknown.length > 0) result[RESERVED_KEYS.UNKNOWN] = unknown;
+
+  return { success: errors.length === 0, data: result, errors };
+};
+
+// ━━ MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * The `parse()` function, converts a list of command-line arguments to a
+ * key-value object.
+ *
+ * In `unix` mode an option without an inline value (`--name John`, `-o out.txt`)
+ * takes the next argument as its value, unless that argument is another option
+ * or the option is listed in `boolean`. Clustered short flags (`-abc`) expand to
+ * one key per letter, and a letter listed in `string` takes the rest of the
+ * cluster as its value (`-ofile`).
+ *
+ * A long flag prefixed with `no-` (`--no-color`) sets the option to `false`,
+ * unless `negate` is disabled or the full name (`no-color`) is itself listed in
+ * `boolean` or `string`. A negation counts as an occurrence of the option, so
+ * when both `--color` and `--no-color` are given the `duplicates` policy
+ * applies, and with the default `last` policy the last one wins.
+ *
+ * Options declared in `schema` are converted to their declared type instead of
+ * a guessed one, and their defaults, requirements, choices and validators are
+ * applied once every argument has been read. Declared `boolean` and `count`
+ * options never take a value, every other declared type always does.
+ *
+ * Aliases, declared with `alias` or in the `schema`, are stored under the name
+ * of the option they stand for, and also under every alias when
+ * `mirrorAliases` is enabled. Giving different values to an option and to one
+ * of its aliases is an error, unless the option collects all its values.
+ *
+ * Operands that are not the value of an option are collected, in order, into
+ * the reserved `_` array, and every argument after a bare `--` is copied
+ * verbatim into the reserved `--` array. Each of them is only present in the
+ * result when it is not empty.
+ *
+ * Options that are not declared in `boolean`, `string`, `schema` or `alias`
+ * are kept by default. The `unknown` setting rejects them (`strict`), drops
+ * them (`strip`) or drops them and collects the arguments they were given
+ * with into the reserved `--unknown` array (`passthrough`), to be forwarded to
+ * another tool.
+ *
+ * When `env` sets a prefix, environment variables such as `MYAPP_LOG_LEVEL`
+ * are read as if `--log-level` had been given, and converted the same way.
+ * They only fill in options that are missing from the arguments, so values
+ * given on the command line always take precedence.
+ *
+ * When `config` is set, the JSON, dotenv or INI file named by the `--config`
+ * option (or by the default `path`) gives the values of the options missing
+ * from both the arguments and the environment. Nested keys of the file are
+ * merged key by key with dotted options, so `--db.port=1` only replaces the
+ * `port` of a `db` section. The schema defaults come last.
+ *
+ * When `help` is enabled, a `--help` argument, `-h` when no option claims that
+ * name, or `/?` when the `windows` dialect is enabled, prints the help text
+ * built by `formatHelp()` from the `schema` and stops parsing: no other
+ * argument is checked and `{ help: true }` is returned. The `help` setting may
+ * be an object of `formatHelp()` settings (`name`, `usage`, `description`,
+ * `width`) with an optional `write` function, which receives the text instead
+ * of `process.stdout`.
+ *
+ * When `completion` is enabled, a first `--get-completions` argument prints
+ * the shell completions of the last argument, as read by the scripts of
+ * `formatCompletion()`, and `{ completions: true }` is returned.
+ *
+ * Every failure caused by the arguments, the environment or the config file
+ * is thrown as an `ArgvParseError`, whose `code` tells the kind of failure
+ * and whose `token` and `index` point to the offending argument. A mistyped
+ * option name, choice or command word comes with the closest known one as
+ * its `suggestion`. Only the first failure is thrown, use `safeParse()` to get
+ * all of them.
+ *
+ * @function
+ * @param {string[]} argv - The arguments to parse, without the node executable and script path.
+ * @param {import('#constants').ParseOptions} [options] - Settings that control how the arguments are parsed.
+ * @returns {import('#argv2Object').ArgvObject} Returns an object with keys and values corresponding to the provided arguments.
+ * @throws {TypeError} If `argv` is not an array of strings or `options` is invalid.
+ * @throws {ArgvParseError} If `strict` is enabled and an argument does not follow the format of `mode` or uses an unsafe key.
+ * @throws {ArgvParseError} If `unknown` is `strict` and an option is not declared.
+ * @throws {ArgvParseError} If the number of positional arguments is outside `minPositionals`..`maxPositionals`.
+ * @throws {ArgvParseError} If an argument breaks the rules of `schema`.
+ * @throws {ArgvParseError} If an option and one of its aliases receive different values.
+ * @throws {ArgvParseError} If the config file cannot be read, or it is malformed.
+ * @example
+ * ```js
+ * parse(['name=John', 'age=30']);
+ * // Returns: { name: 'John', age: 30 }
+ *
+ * parse(['-h', '--output-format', 'json'], { mode: 'unix' });
+ * // Returns: { h: true, output_format: 'json' }
+ *
+ * parse(['--verbose', 'file.txt'], { mode: 'unix', boolean: ['verbose'] });
+ * // Returns: { verbose: true, _: ['file.txt'] }
+ *
+ * parse(['-xzf', 'archive.tar', '-ofile'], { mode: 'unix', string: ['o'] });
+ * // Returns: { x: true, z: true, f: 'archive.tar', o: 'file' }
+ *
+ * parse(['src/', 'dist/', '--minify', '--', '--watch'], { mode: 'unix' });
+ * // Returns: { minify: true, _: ['src/', 'dist/'], '--': ['--watch'] }
+ *
+ * parse(['--color', '--no-color', '--no-sandbox'], { mode: 'unix', boolean: ['no-sandbox'] });
+ * // Returns: { color: false, no_sandbox: true }
+ *
+ * parse(['-vv', '--port', '80'], {
+ *   mode: 'unix',
+ *   schema: { v: { type: 'count' }, port: { type: 'integer' }, env: { default: 'dev' } },
+ * });
+ * // Returns: { v: 2, port: 80, env: 'dev' }
+ *
+ * const source = { MYAPP_PORT: '80', MYAPP_LOG_LEVEL: 'debug' };
+ * parse(['--port', '90'], { mode: 'unix', env: { prefix: 'MYAPP', source } });
+ * // Returns: { log_level: 'debug', port: 90 }
+ *
+ * parse(['--port', 'x', '--help'], { mode: 'unix', help: true, schema: { port: { type: 'integer' } } });
+ * // Prints the help text and returns: { help: true }
+ * ```
+ */
+const parse = (argv, options) => {
+  const { success, data, errors } = safeParse(argv, options);
+  if (!success) throw errors[0];
+  return data;
+};
+
+/**
+ * Finds the position of the first operand that is not the value of an option,
+ * reading the arguments the way `parse()` would with the same settings. One of
+ * the `commands` names is only taken as the value of an option declared to
+ * take one, so `--verbose deploy` finds `deploy`.
+ *
+ * @exports
+ * @private
+ * @function findOperand
+ * @param {string[]} argv - The arguments to search.
+ * @param {import('#constants').ParseOptions} [options] - Settings that control how the arguments are read.
+ * @param {string[]} [commands] - The names of the subcommands that may follow the options.
+ * @returns {number} The position of the operand in `argv`, or `-1` when there is none before `--`.
+ * @throws {TypeError} If `options` is invalid.
+ * @example
+ * ```js
+ * findOperand(['--env', 'prod', 'deploy', '--force'], { mode: 'unix' }); // returns 2
+ * findOperand(['--force', '--', 'deploy'], { mode: 'unix' }); // returns -1
+ * findOperand(['--verbose', 'deploy'], { mode: 'unix' }, ['deploy']); // returns 1
+ * ```
+ */
+const findOperand = (argv, options, commands = []) => {
+  const settings = { ...resolveOptions(options), strict: false };
+  const schema = validateSchema(settings.schema, settings.types);
+  const aliases = collectAliases(schema, settings.alias);
+
+  const terminator = argv.indexOf('--');
+  const optionsv = terminator === -1 ? argv : argv.slice(0, terminator);
+  const arity = { ...getArity(settings, schema, aliases), commands: new Set(commands) };
+  const { operands } = readArguments(optionsv, settings, arity);
+
+  return operands.length > 0 ? operands[0] : -1;
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+export { findOperand, safeParse };
+export default parse;
@@ -0,0 +1,305 @@
+/**
+ * @file Module containing the functions that apply an option schema.
+ *
+ * A schema declares the known options of a command, by option name, with the
+ * type of their value, a default value, whether they are required, the values
+ * they accept and a custom validator. These functions check the schema itself
+ * and apply it to the object built from the command-line arguments.
+ *
+ * @module schema
+ * @since 1.2.0
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+import { format } from 'node:util';
+
+// » IMPORT LOCAL MODULES
+import { ERROR_CODES, ERROR_MESSAGES, FLAG_TYPES, SCHEMA_TYPES } from '#constants';
+import ArgvParseError from '#errors';
+import {
+  attempt,
+  findClosest,
+  formatKey,
+  hasKey,
+  isPlainObject,
+  isStringArray,
+  readPath,
+  resolveParent,
+  toKeyPath,
+} from '#functions';
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Types allowed for the elements of an `array` option, besides custom types.
+ *
+ * @private
+ * @constant {string[]} ITEM_TYPES
+ */
+const ITEM_TYPES = SCHEMA_TYPES.filter(type => !['array', 'count'].includes(type));
+
+// ━━ MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Checks that a schema is an object of well-formed option definitions.
+ *
+ * @exports
+ * @private
+ * @function validateSchema
+ * @param {object} schema - The schema to check.
+ * @param {object} [types] - Custom coercers, by type name, whose names are valid types too.
+ * @returns {object} The same schema.
+ * @throws {TypeError} If `schema` is not an object or a definition is malformed.
+ * @example
+ * ```js
+ * validateSchema({ port: { type: 'integer', default: 8080 } }); // passes
+ * validateSchema({ port: { type: 'int' } }); // throws TypeError
+ * validateSchema({ port: { type: 'int' } }, { int: Number }); // passes
+ * ```
+ */
+const validateSchema = (schema, types = {}) => {
+  if (!isPlainObject(schema)) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_SCHEMA);
+  }
+
+  const isCustom = type => typeof type === 'string' && hasKey(types, type);
+
+  Object.entries(schema).forEach(([name, definition]) => {
+    const isValid =
+      isPlainObject(definition) &&
+      (definition.type === undefined ||
+        SCHEMA_TYPES.includes(definition.type) ||
+        isCustom(definition.type)) &&
+      (definition.items === undefined ||
+        (definition.type === 'array' &&
+          (ITEM_TYPES.includes(definition.items) || isCustom(definition.items)))) &&
+      (definition.required === undefined || typeof definition.required === 'boolean') &&
+      (definition.raw === undefined || typeof definition.raw === 'boolean') &&
+      (definition.choices === undefined || Array.isArray(definition.choices)) &&
+      (definition.validate === undefined || typeof definition.validate === 'function') &&
+      (definition.complete === undefined || typeof definition.complete === 'function') &&
+      (definition.description === undefined || typeof definition.description === 'string') &&
+      (definition.alias === undefined ||
+        typeof definition.alias === 'string' ||
+        isStringArray(definition.alias));
+
+    if (!isValid) {
+      throw new TypeError(format(ERROR_MESSAGES.INVALID_DEFINITION, name));
+    }
+  });
+
+  return schema;
+};
+
+/**
+ * Lists the options of a schema that are flags and those that take a value.
+ *
+ * @exports
+ * @private
+ * @function getSchemaArity
+ * @param {object} schema - A valid schema.
+ * @returns {{flags: string[], values: string[]}} The option names, by arity.
+ * @example
+ * ```js
+ * getSchemaArity({ verbose: { type: 'count' }, o: { type: 'string' }, x: {} });
+ * // Returns: { flags: ['verbose'], values: ['o'] }
+ * ```
+ */
+const getSchemaArity = schema => {
+  const typed = Object.entries(schema).filter(([, { type }]) => type !== undefined);
+  return {
+    flags: typed.filter(([, { type }]) => FLAG_TYPES.includes(type)).map(([name]) => name),
+    values: typed.filter(([, { type }]) => !FLAG_TYPES.includes(type)).map(([name]) => name),
+  };
+};
+
+/**
+ * Applies the defaults, required options, choices and validators of a schema
+ * to the object built from the command-line arguments. An option given with a
+ * value that could not be converted is not reported again as missing.
+ *
+ * @exports
+ * @private
+ * @function applySchema
+ * @param {object} result - The object built from the arguments, modified in place.
+ * @param {object} schema - A valid schema.
+ * @param {'camelcase'|'snakecase'|'none'} [keyCase] - Casing applied to keys.
+ * @param {Map<string, object>} [origins] - The `token` and `index` each option was given through, used in errors.
+ * @param {Function} [report] - Receives the error of each failing option, instead of throwing it.
+ * @returns {object} The same `result` object.
+ * @throws {ArgvParseError} If a required option is missing, or a value is not an allowed choice or is rejected by its validator.
+ * @example
+ * ```js
+ * applySchema({}, { port: { type: 'integer', default: 8080 } });
+ * // Returns: { port: 8080 }
+ *
+ * applySchema({ env: 'qa' }, { env: { choices: ['dev', 'prod'] } });
+ * // Throws: The "env" option must be one of: dev, prod
+ * ```
+ */
+const applySchema = (result, schema, keyCase, origins = new Map(), report = null) => {
+  const check = (name, definition) => {
+    const path = toKeyPath(name, keyCase);
+    const [exists, value] = readPath(result, path);
+
+    if (!exists) {
+      if ('default' in definition) {
+        resolveParent(result, path)[path[path.length - 1]] = definition.default;
+      } else if (definition.required && !origins.has(name)) {
+        const message = format(ERROR_MESSAGES.MISSING_REQUIRED, name);
+        throw new ArgvParseError(ERROR_CODES.MISSING_REQUIRED, message);
+      }
+      return;
+    }
+
+    const { choices, validate } = definition;
+    const values = Array.isArray(value) ? value : [value];
+    const origin = origins.get(name);
+    const invalid = choices && values.find(item => !choices.includes(item));
+
+    if (choices && invalid !== undefined) {
+      const message = format(ERROR_MESSAGES.INVALID_CHOICE, name, choices.join(', '));
+      const suggestion =
+        typeof invalid === 'string'
+          ? findClosest(
+              invalid,
+              choices.filter(choice => typeof choice === 'string'),
+            )
+          : undefined;
+
+      throw new ArgvParseError(ERROR_CODES.INVALID_CHOICE, message, { ...origin, suggestion });
+    }
+
+    const verdict = validate ? validate(value) : true;
+
+    if (verdict !== true) {
+      const fallback = format(ERROR_MESSAGES.VALIDATION_FAILED, name);
+      const message = typeof verdict === 'string' ? verdict : fallback;
+      throw new ArgvParseError(ERROR_CODES.VALIDATION_FAILED, message, origin);
+    }
+  };
+
+  Object.entries(schema).forEach(([name, definition]) => {
+    attempt(() => check(name, definition), report);
+  });
+
+  return result;
+};
+
+/**
+ * Collects the aliases declared in a schema and in the `alias` setting into a
+ * single map of alias names to option names.
+ *
+ * @exports
+ * @private
+ * @function collectAliases
+ * @param {object} schema - A valid schema, whose definitions may have an `alias`.
+ * @param {object} [alias] - Map of alias names to option names.
+ * @returns {Map<string, string>} Map of alias names to option names.
+ * @throws {TypeError} If `alias` is not a map of strings, or an alias is assigned to two options.
+ * @example
+ * ```js
+ * collectAliases({ help: { alias: 'h' } }, { v: 'verbose' });
+ * // Returns: Map { 'h' => 'help', 'v' => 'verbose' }
+ * ```
+ */
+const collectAliases = (schema, alias = {}) => {
+  if (!isPlainObject(alias) || !isStringArray(Object.values(alias))) {
+    throw new TypeError(ERROR_MESSAGES.INVALID_ALIAS);
+  }
+
+  const declared = Object.entries(schema).flatMap(([name, definition]) =>
+    [definition.alias ?? []].flat().map(other => [other, name]),
+  );
+
+  return [...declared, ...Object.entries(alias)].reduce((aliases, [other, name]) => {
+    if (aliases.has(other) && aliases.get(other) !== name) {
+      throw new TypeError(format(ERROR_MESSAGES.DUPLICATE_ALIAS, other));
+    }
+    return aliases.set(other, name);
+  }, new Map());
+};
+
+/**
+ * Renames the `[name, value]` pairs given through an alias to the option they
+ * stand for.
+ *
+ * @exports
+ * @private
+ * @function applyAliases
+ * @param {Array<Array<*>>} entries - The `[name, value, origin]` triples read from the arguments.
+ * @param {Map<string, string>} aliases - Map of alias names to option names.
+ * @param {Function} [accumulates] - Tells whether an option collects all its values.
+ * @param {Function} [report] - Receives the error of each conflicting alias, instead of throwing it.
+ * @returns {Array<Array<*>>} The triples, named after the options.
+ * @throws {ArgvParseError} If an option and one of its aliases receive different values, and the option does not collect all its values.
+ * @example
+ * ```js
+ * applyAliases([['-h', undefined], ['--port', '80']], new Map([['h', 'help']]));
+ * // Returns: [['help', undefined], ['port', '80']]
+ *
+ * applyAliases([['-p', '80'], ['--port', '90']], new Map([['p', 'port']]));
+ * // Throws: The "port" option received conflicting values through its aliases
+ * ```
+ */
+const applyAliases = (entries, aliases, accumulates = () => false, report = null) => {
+  const seen = new Map();
+
+  return entries.map(([option, value, origin]) => {
+    const spelling = formatKey(option);
+    const name = aliases.get(spelling) ?? spelling;
+    const [previous, before] = seen.get(name) ?? [spelling, value];
+
+    if (previous !== spelling && before !== value && !accumulates(name)) {
+      const message = format(ERROR_MESSAGES.CONFLICTING_ALIAS, name);
+      const error = new ArgvParseError(ERROR_CODES.CONFLICTING_ALIAS, message, origin);
+      if (!report) throw error;
+      report(error);
+    }
+
+    seen.set(name, [spelling, value]);
+    return [name, value, origin];
+  });
+};
+
+/**
+ * Copies the value of every option that has aliases under each of them.
+ *
+ * @exports
+ * @private
+ * @function copyToAliases
+ * @param {object} result - The parsed object, modified in place.
+ * @param {Map<string, string>} aliases - Map of alias names to option names.
+ * @param {'camelcase'|'snakecase'|'none'} [keyCase] - Casing applied to keys.
+ * @returns {object} The same `result` object.
+ * @example
+ * ```js
+ * copyToAliases({ help: true }, new Map([['h', 'help']]));
+ * // Returns: { help: true, h: true }
+ * ```
+ */
+const copyToAliases = (result, aliases, keyCase) => {
+  aliases.forEach((name, other) => {
+    const [exists, value] = readPath(result, toKeyPath(name, keyCase));
+
+    if (exists) {
+      const path = toKeyPath(other, keyCase);
+      resolveParent(result, path)[path[path.length - 1]] = value;
+    }
+  });
+
+  return result;
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Functions that apply an option schema.
+ *
+ * @namespace
+ * @property {Function} validateSchema - Schema validation function.
+ * @property {Function} getSchemaArity - Flag and value option lookup function.
+ * @property {Function} applySchema    - Defaults, requirements and validation function.
+ * @property {Function} collectAliases - Alias map building function.
+ * @property {Function} applyAliases   - Alias renaming function.
+ * @property {Function} copyToAliases  - Alias mirroring function.
+ */
+export { validateSchema, getSchemaArity, applySchema, collectAliases, applyAliases, copyToAliases };
@@ -0,0 +1,185 @@
+/**
+ * @file Splits a raw command-line string into arguments.
+ *
+ * Commands typed in a REPL or sent by a chat bot arrive as a single string.
+ * `tokenize()` splits it the way a POSIX shell does before running a command:
+ * on unquoted blanks, keeping the text of single and double quotes together,
+ * reading backslash escapes and joining adjacent segments into one argument.
+ * Its output is an `argv` array ready for `parse()` or `parseCommand()`.
+ *
+ * @module tokenize
+ * @since 1.2.0
+ *
+ * @example
+ * ```js
+ * tokenize(`deploy --msg "fix login" --tag='v1 beta'`);
+ * // Returns: ['deploy', '--msg', 'fix login', '--tag=v1 beta']
+ * ```
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+import { format } from 'node:util';
+
+// » IMPORT LOCAL MODULES
+import { ERROR_CODES, ERROR_MESSAGES } from '#constants';
+import ArgvParseError from '#errors';
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Characters that separate arguments outside quotes.
+ *
+ * @private
+ * @constant {string} BLANKS
+ */
+const BLANKS = ' \t\r\n';
+
+/**
+ * Characters a backslash escapes inside double quotes; before any other
+ * character the backslash is kept.
+ *
+ * @private
+ * @constant {string} DOUBLE_QUOTE_ESCAPES
+ */
+const DOUBLE_QUOTE_ESCAPES = '$`"\\\n';
+
+// ━━ FUNCTIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Builds the error of a quote that is not closed.
+ *
+ * @private
+ * @function unterminatedQuote
+ * @param {string} line - The line being tokenized.
+ * @param {number} position - The position of the opening quote.
+ * @returns {ArgvParseError} The error, pointing at the opening quote.
+ * @example
+ * ```js
+ * unterminatedQuote(`--tag='v1`, 6).message // returns 'The single quote at position 7 is not closed'
+ * ```
+ */
+const unterminatedQuote = (line, position) => {
+  const quote = line[position] === "'" ? 'single' : 'double';
+  const message = format(ERROR_MESSAGES.UNTERMINATED_QUOTE, quote, position + 1);
+  return new ArgvParseError(ERROR_CODES.UNTERMINATED_QUOTE, message, {
+    token: line.slice(position),
+    index: position,
+  });
+};
+
+/**
+ * Reads the text between a double quote and the one that closes it. A
+ * backslash escapes `$`, `` ` ``, `"`, `\` and a newline, which is then
+ * dropped; before any other character the backslash is kept.
+ *
+ * @private
+ * @function readDoubleQuoted
+ * @param {string} line - The line being tokenized.
+ * @param {number} start - The position of the opening quote.
+ * @returns {Array<string|number>} The `[text, end]` pair, `end` being the position of the closing quote.
+ * @throws {ArgvParseError} If the quote is not closed.
+ * @example
+ * ```js
+ * readDoubleQuoted('"say \\"hi\\"" now', 0) // returns ['say "hi"', 11]
+ * readDoubleQuoted('"C:\\dir"', 0) // returns ['C:\\dir', 7]
+ * ```
+ */
+const readDoubleQuoted = (line, start) => {
+  let text = '';
+  let position = start + 1;
+
+  while (position < line.length && line[position] !== '"') {
+    const next = line[position + 1];
+
+    if (line[position] === '\\' && next !== undefined && DOUBLE_QUOTE_ESCAPES.includes(next)) {
+      text += next === '\n' ? '' : next;
+      position += 2;
+    } else {
+      text += line[position];
+      position += 1;
+    }
+  }
+
+  if (position >= line.length) throw unterminatedQuote(line, start);
+
+  return [text, position];
+};
+
+// ━━ MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * The `tokenize()` function, splits a command-line string into arguments with
+ * the quoting rules of a POSIX shell.
+ *
+ * - Unquoted blanks (spaces, tabs and newlines) separate the arguments.
+ * - Single quotes keep every character until the closing quote as it is.
+ * - Double quotes keep every character too, except that a backslash escapes
+ * `$`, `` ` ``, `"`, `\` and a newline.
+ * - Outside quotes, a backslash escapes any character, and a backslash before
+ * a newline joins the lines.
+ * - Adjacent segments form one argument: `--tag='v1 beta'` is `--tag=v1 beta`,
+ * and `""` is an empty argument.
+ *
+ * Nothing else is interpreted: there are no expansions, globs, comments or
+ * operators, so `$HOME`, `*`, `#` and `|` are plain text.
+ *
+ * @function
+ * @param {string} line - The command line.
+ * @returns {string[]} The arguments, ready for `parse()`.
+ * @throws {TypeError} If `line` is not a string.
+ * @throws {ArgvParseError} If a quote is not closed, or the line ends with a backslash, with the position of the character as `index`.
+ * @example
+ * ```js
+ * parse(tokenize(`--name "John Doe" --tag='v1 beta'`), { mode: 'unix' });
+ * // Returns: { name: 'John Doe', tag: 'v1 beta' }
+ *
+ * tokenize(`--msg "fix login`);
+ * // Throws: ArgvParseError: The double quote at position 7 is not closed
+ * ```
+ */
+const tokenize = line => {
+  if (typeof line !== 'string') {
+    throw new TypeError(ERROR_MESSAGES.INVALID_LINE_TYPE);
+  }
+
+  const tokens = [];
+  let token = null;
+  let position = 0;
+
+  while (position < line.length) {
+    const character = line[position];
+
+    if (BLANKS.includes(character)) {
+      if (token !== null) tokens.push(token);
+      token = null;
+      position += 1;
+    } else if (character === "'") {
+      const end = line.indexOf("'", position + 1);
+      if (end === -1) throw unterminatedQuote(line, position);
+      token = `${token ?? ''}${line.slice(position + 1, end)}`;
+      position = end + 1;
+    } else if (character === '"') {
+      const [text, end] = readDoubleQuoted(line, position);
+      token = `${token ?? ''}${text}`;
+      position = end + 1;
+    } else if (character === '\\') {
+      if (position === line.length - 1) {
+        const message = format(ERROR_MESSAGES.UNTERMINATED_ESCAPE, position + 1);
+        throw new ArgvParseError(ERROR_CODES.UNTERMINATED_ESCAPE, message, {
+          token: character,
+          index: position,
+        });
+      }
+      if (line[position + 1] !== '\n') token = `${token ?? ''}${line[position + 1]}`;
+      position += 2;
+    } else {
+      token = `${token ?? ''}${character}`;
+      position += 1;
+    }
+  }
+
+  if (token !== null) tokens.push(token);
+
+  return tokens;
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+export default tokenize;
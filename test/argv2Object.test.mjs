@@ -25,19 +25,40 @@ const THROWS_ERRORS_MESSAGES = {
     message: 'The "unixmode" parameter must be a boolean value',
   },
   NO_ARGUMENTS: {
-    name: 'Error',
+    name: 'ArgvParseError',
     message: 'No command-line arguments were provided',
   },
   NO_MATCH_SIMPLE: {
-    name: 'Error',
+    name: 'ArgvParseError',
     message: `Arguments must follow "key=value" format`,
   },
   NO_MATCH_UNIXMODE: {
-    name: 'Error',
+    name: 'ArgvParseError',
     message: `Arguments must follow Unix-style format (-a, --option=value)`,
   },
 };
 
+/**
+ * Copies an expected result into objects with a `null` prototype, the way
+ * `parse()` builds them, so that `deepStrictEqual` compares the prototypes.
+ *
+ * @private
+ * @function asResult
+ * @param {*} value - The expected value.
+ * @returns {*} The value, its plain objects copied to `null`-prototype objects.
+ * @example
+ * ```js
+ * Object.getPrototypeOf(asResult({ db: { port: 5432 } }).db) // returns null
+ * ```
+ */
+const asResult = value => {
+  if (Array.isArray(value)) return value.map(asResult);
+  if (Object.getPrototypeOf(value ?? 0) !== Object.prototype) return value;
+
+  const entries = Object.entries(value).map(([key, item]) => [key, asResult(item)]);
+  return Object.assign(Object.create(null), Object.fromEntries(entries));
+};
+
 // ━━ TEST ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 describe('argv2Object', () => {
   const original = process.argv;
@@ -58,12 +79,12 @@ describe('argv2Object', () => {
     assert.throws(() => argv2Object(12), THROWS_ERRORS_MESSAGES.INVALID_UNIXMODE_TYPE);
   });
 
-  it('should throw an "Error" when no arguments are provided', () => {
+  it('should throw an "ArgvParseError" when no arguments are provided', () => {
     process.argv = ['node', 'script.js'];
     assert.throws(() => argv2Object(), THROWS_ERRORS_MESSAGES.NO_ARGS);
   });
 
-  it('should throw an "Error" when an argument does not match the expected format', () => {
+  it('should throw an "ArgvParseError" when an argument does not match the expected format', () => {
     Object.assign(process.argv, {
       2: '-task',
       3: 'invalid-arg',
@@ -71,10 +92,10 @@ describe('argv2Object', () => {
     assert.throws(() => argv2Object(), THROWS_ERRORS_MESSAGES.NO_MATCH_SIMPLE);
   });
 
-  it('should throw an "Error" when a Unix-style argument does not match the expected format', () => {
+  it('should throw an "ArgvParseError" when a Unix-style argument does not match the expected format', () => {
     Object.assign(process.argv, {
       2: 'task',
-      3: 'invalid-arg',
+      3: '---invalid-arg',
     });
     assert.throws(() => argv2Object(true), THROWS_ERRORS_MESSAGES.NO_MATCH_UNIXMODE);
   });
@@ -86,7 +107,7 @@ describe('argv2Object', () => {
       4: 'level=0',
     });
     const result = argv2Object();
-    assert.deepStrictEqual(result, { name: 'John', age: 30, level: 0 });
+    assert.deepStrictEqual(result, asResult({ name: 'John', age: 30, level: 0 }));
   });
 
   it('should convert Unix-style options to an object', () => {
@@ -97,6 +118,30 @@ describe('argv2Object', () => {
       5: '--is-admin',
     });
     const result = argv2Object(true);
-    assert.deepStrictEqual(result, { h: true, help: true, name: 'John', is_admin: true });
+    assert.deepStrictEqual(result, asResult({ h: true, help: true, name: 'John', is_admin: true }));
+  });
+
+  it('should pass any other setting on to "parse"', () => {
+    Object.assign(process.argv, {
+      2: '--output-format=json',
+      3: '--dry-run',
+    });
+    const result = argv2Object(true, { keyCase: 'camelcase' });
+    assert.deepStrictEqual(result, asResult({ outputFormat: 'json', dryRun: true }));
+  });
+
+  it('should collect positional arguments and arguments after "--"', () => {
+    Object.assign(process.argv, {
+      2: 'src/',
+      3: 'dist/',
+      4: '--minify',
+      5: '--',
+      6: '--watch',
+    });
+    const result = argv2Object(true);
+    assert.deepStrictEqual(
+      result,
+      asResult({ minify: true, _: ['src/', 'dist/'], '--': ['--watch'] }),
+    );
   });
 });
@@ -0,0 +1,301 @@
+/**
+ * @author Victor Giovanni Beltrán Rodríguez
+ * @file This file contains the test for the `parseCommand` function.
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+// » IMPORT MODULES
+import parseCommand from '#command';
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * This constant defines the errors that can be thrown by
+ * the `parseCommand` function.
+ *
+ * @private
+ * @constant {object} THROWS
+ */
+const THROWS_ERRORS_MESSAGES = {
+  INVALID_ARGV_TYPE: {
+    name: 'TypeError',
+    message: 'The "argv" parameter must be an array of strings',
+  },
+  INVALID_COMMANDS: {
+    name: 'TypeError',
+    message: 'The "commands" option must be an object of command definitions',
+  },
+  INVALID_COMMAND: {
+    name: 'TypeError',
+    message: 'The definition of the "deploy" command is invalid',
+  },
+  UNKNOWN_COMMAND: {
+    name: 'ArgvParseError',
+    message: 'Unknown command "dpeloy", expected one of: deploy, db (did you mean "deploy"?)',
+  },
+  MISSING_COMMAND: {
+    name: 'ArgvParseError',
+    message: 'A command is required, expected one of: migrate, seed',
+  },
+  MISSING_REQUIRED: {
+    name: 'ArgvParseError',
+    message: 'The "env" option is required',
+  },
+};
+
+/**
+ * Copies an expected result into objects with a `null` prototype, the way
+ * `parse()` builds them, so that `deepStrictEqual` compares the prototypes.
+ *
+ * @private
+ * @function asResult
+ * @param {*} value - The expected value.
+ * @returns {*} The value, its plain objects copied to `null`-prototype objects.
+ * @example
+ * ```js
+ * Object.getPrototypeOf(asResult({ db: { port: 5432 } }).db) // returns null
+ * ```
+ */
+const asResult = value => {
+  if (Array.isArray(value)) return value.map(asResult);
+  if (Object.getPrototypeOf(value ?? 0) !== Object.prototype) return value;
+
+  const entries = Object.entries(value).map(([key, item]) => [key, asResult(item)]);
+  return Object.assign(Object.create(null), Object.fromEntries(entries));
+};
+
+/**
+ * Handler of the `deploy` command in the test tree.
+ *
+ * @private
+ * @function deploy
+ * @returns {string} A fixed marker.
+ * @example
+ * ```js
+ * deploy(); // returns 'deployed'
+ * ```
+ */
+const deploy = () => 'deployed';
+
+/**
+ * Command tree shared by the tests.
+ *
+ * @private
+ * @constant {object} OPTIONS
+ */
+const OPTIONS = {
+  mode: 'unix',
+  boolean: ['verbose'],
+  commands: {
+    deploy: {
+      schema: { env: { choices: ['dev', 'prod'], required: true } },
+      handler: deploy,
+    },
+    db: {
+      commands: {
+        migrate: { boolean: ['dry-run'] },
+        seed: { schema: { count: { type: 'integer', default: 10 } } },
+      },
+    },
+  },
+};
+
+// ━━ TEST ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+describe('parseCommand', () => {
+  it('should resolve the command path and parse its options', () => {
+    assert.deepStrictEqual(parseCommand(['deploy', '--env=prod'], OPTIONS), {
+      command: ['deploy'],
+      options: asResult({ env: 'prod' }),
+      handler: deploy,
+    });
+    assert.deepStrictEqual(parseCommand(['db', 'migrate', '--dry-run'], OPTIONS), {
+      command: ['db', 'migrate'],
+      options: asResult({ dry_run: true }),
+      handler: undefined,
+    });
+  });
+
+  it('should accept the global options before and after the command words', () => {
+    const result = parseCommand(['--verbose', 'db', 'seed', 'users', '--count', '5'], OPTIONS);
+    assert.deepStrictEqual(result.command, ['db', 'seed']);
+    assert.deepStrictEqual(result.options, asResult({ verbose: true, count: 5, _: ['users'] }));
+    assert.deepStrictEqual(
+      parseCommand(['deploy', '--verbose', '--env', 'dev'], OPTIONS).options,
+      asResult({ verbose: true, env: 'dev' }),
+    );
+  });
+
+  it('should not take a command word as the value of an undeclared option', () => {
+    const options = { mode: 'unix', commands: { deploy: {} } };
+    assert.deepStrictEqual(parseCommand(['--verbose', 'deploy', '--env', 'prod'], options), {
+      command: ['deploy'],
+      options: asResult({ verbose: true, env: 'prod' }),
+      handler: undefined,
+    });
+    assert.deepStrictEqual(parseCommand(['-v', 'deploy'], options).command, ['deploy']);
+    assert.deepStrictEqual(
+      parseCommand(['--target', 'deploy', 'deploy'], { ...options, string: ['target'] }),
+      { command: ['deploy'], options: asResult({ target: 'deploy' }), handler: undefined },
+    );
+  });
+
+  it('should skip the values of options when looking for the command word', () => {
+    const options = { mode: 'unix', commands: { deploy: {} } };
+    assert.deepStrictEqual(parseCommand(['--region', 'eu', 'deploy'], options), {
+      command: ['deploy'],
+      options: asResult({ region: 'eu' }),
+      handler: undefined,
+    });
+  });
+
+  it('should behave like "parse" when there are no commands', () => {
+    assert.deepStrictEqual(parseCommand(['name=John', 'age=30']), {
+      command: [],
+      options: asResult({ name: 'John', age: 30 }),
+      handler: undefined,
+    });
+  });
+
+  it('should apply the schema of the resolved command', () => {
+    assert.throws(() => parseCommand(['deploy'], OPTIONS), THROWS_ERRORS_MESSAGES.MISSING_REQUIRED);
+  });
+
+  it('should throw an "ArgvParseError" when a command is unknown or missing', () => {
+    assert.throws(() => parseCommand(['dpeloy'], OPTIONS), THROWS_ERRORS_MESSAGES.UNKNOWN_COMMAND);
+    assert.throws(() => parseCommand(['db'], OPTIONS), THROWS_ERRORS_MESSAGES.MISSING_COMMAND);
+  });
+
+  it('should report the position of the failing argument in the original list', () => {
+    assert.throws(() => parseCommand(['--verbose', 'dpeloy'], OPTIONS), {
+      code: 'ERR_UNKNOWN_COMMAND',
+      token: 'dpeloy',
+      index: 1,
+      suggestion: 'deploy',
+    });
+    assert.throws(() => parseCommand(['db', 'seed', '--count', 'many'], OPTIONS), {
+      code: 'ERR_INVALID_VALUE',
+      token: '--count',
+      index: 2,
+    });
+  });
+
+  it('should print the help text of the resolved command and return no handler', () => {
+    const printed = [];
+    const help = { name: 'tool', write: text => printed.push(text) };
+    const result = parseCommand(['db', '--help'], { ...OPTIONS, help });
+
+    assert.deepStrictEqual(result, {
+      command: ['db'],
+      options: asResult({ help: true }),
+      handler: undefined,
+    });
+    assert.deepStrictEqual(printed, [
+      [
+        'Usage: tool db <command> [options]',
+        '',
+        'Commands:',
+        '  migrate',
+        '  seed',
+        '',
+        'Options:',
+        '  -h, --help  Show this help text',
+        '',
+      ].join('\n'),
+    ]);
+  });
+
+  it('should print the completions of the command reached on "--get-completions"', () => {
+    const printed = [];
+    const completion = { write: text => printed.push(text) };
+    const options = {
+      ...OPTIONS,
+      commands: {
+        ...OPTIONS.commands,
+        deploy: { ...OPTIONS.commands.deploy, description: 'Deploys' },
+      },
+      completion,
+    };
+
+    assert.deepStrictEqual(parseCommand(['--get-completions', 'd'], options), {
+      command: [],
+      options: asResult({ completions: true }),
+      handler: undefined,
+    });
+    assert.deepStrictEqual(parseCommand(['--get-completions', '--verbose', 'db', ''], options), {
+      command: ['db'],
+      options: asResult({ completions: true }),
+      handler: undefined,
+    });
+    parseCommand(['--get-completions', 'deploy', '--env', ''], options);
+    parseCommand(['--get-completions', 'db', 'migrate', '--d'], options);
+    assert.deepStrictEqual(printed, [
+      'deploy\tDeploys\ndb\n',
+      'migrate\nseed\n',
+      'dev\nprod\n',
+      '--dry-run\n',
+    ]);
+  });
+
+  it('should offer completions of a nested command that parse back into that command', () => {
+    const printed = [];
+    const options = {
+      mode: 'unix',
+      completion: { write: text => printed.push(text) },
+      commands: {
+        db: {
+          description: 'Database tasks',
+          commands: {
+            migrate: {
+              description: 'Runs the migrations',
+              schema: {
+                target: { choices: ['latest', 'zero'], alias: 't', description: 'Version' },
+                step: { type: 'integer', complete: () => [1, 5] },
+              },
+            },
+          },
+        },
+      },
+    };
+    const complete = (...words) => {
+      printed.length = 0;
+      parseCommand(['--get-completions', ...words], options);
+      return printed.join('').split('\n').filter(Boolean);
+    };
+
+    assert.deepStrictEqual(complete(''), ['db\tDatabase tasks']);
+    assert.deepStrictEqual(complete('db', 'm'), ['migrate\tRuns the migrations']);
+    assert.deepStrictEqual(complete('db', 'migrate', '-'), [
+      '--target\tVersion',
+      '--step',
+      '-t\tVersion',
+    ]);
+    assert.deepStrictEqual(complete('db', 'migrate', '-t', ''), ['latest', 'zero']);
+    assert.deepStrictEqual(complete('db', 'migrate', '--step='), ['--step=1', '--step=5']);
+
+    const [target] = complete('db', 'migrate', '--target', 'z');
+    const [step] = complete('db', 'migrate', '--st').map(line => line.split('\t')[0]);
+    assert.deepStrictEqual(
+      parseCommand(['db', 'migrate', '--target', target, step, '5'], options),
+      {
+        command: ['db', 'migrate'],
+        options: asResult({ target: 'zero', step: 5 }),
+        handler: undefined,
+      },
+    );
+  });
+
+  it('should throw a "TypeError" when the arguments or commands are invalid', () => {
+    assert.throws(() => parseCommand('deploy'), THROWS_ERRORS_MESSAGES.INVALID_ARGV_TYPE);
+    assert.throws(
+      () => parseCommand([], { commands: [] }),
+      THROWS_ERRORS_MESSAGES.INVALID_COMMANDS,
+    );
+    assert.throws(
+      () => parseCommand([], { commands: { deploy: { handler: 'deploy.js' } } }),
+      THROWS_ERRORS_MESSAGES.INVALID_COMMAND,
+    );
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * @author Victor Giovanni Beltrán Rodríguez
+ * @file This file contains the test for the `formatCompletion` function.
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+// » IMPORT MODULES
+import formatCompletion from '#completion';
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * This constant defines the errors that can be thrown by
+ * the `formatCompletion` function.
+ *
+ * @private
+ * @constant {object} THROWS
+ */
+const THROWS_ERRORS_MESSAGES = {
+  INVALID_SHELL: {
+    name: 'TypeError',
+    message: 'The "shell" parameter must be one of: bash, zsh, fish',
+  },
+  INVALID_COMMAND_NAME: {
+    name: 'TypeError',
+    message:
+      'The completion "name" must be a command name made of letters, digits, ".", "_" and "-"',
+  },
+};
+
+/**
+ * Expected lines of the bash completion script of `my-tool`.
+ *
+ * @private
+ * @constant {string[]} BASH_SCRIPT
+ */
+const BASH_SCRIPT = [
+  '# bash completion for my-tool',
+  '_my_tool_completion() {',
+  `  local line="\${COMP_LINE:0:COMP_POINT}" word`,
+  '  local -a words candidates',
+  '  read -ra words <<< "$line"',
+  '  [[ "$line" =~ [[:space:]]$ ]] && words+=("")',
+  `  word="\${words[\${#words[@]}-1]}"`,
+  `  local IFS=$'\\n'`,
+  `  candidates=($(my-tool --get-completions "\${words[@]:1}" 2>/dev/null | cut -f1))`,
+  '  if [[ "$word" == *=* && "$COMP_WORDBREAKS" == *=* ]]; then',
+  `    candidates=("\${candidates[@]#"\${word%%=*}="}")`,
+  '  fi',
+  `  [[ \${#candidates[@]} -eq 1 && "\${candidates[0]}" == *= ]] && compopt -o nospace`,
+  `  COMPREPLY=("\${candidates[@]}")`,
+  '}',
+  'complete -o default -F _my_tool_completion my-tool',
+];
+
+/**
+ * Expected lines of the zsh completion script of `my-tool`.
+ *
+ * @private
+ * @constant {string[]} ZSH_SCRIPT
+ */
+const ZSH_SCRIPT = [
+  '#compdef my-tool',
+  '_my_tool_completion() {',
+  '  local -a candidates joined',
+  '  local value description entry',
+  `  while IFS=$'\\t' read -r value description; do`,
+  `    entry="\${value//:/\\\\:}\${description:+:$description}"`,
+  '    if [[ "$value" == *= ]]; then joined+=("$entry"); else candidates+=("$entry"); fi',
+  `  done < <(my-tool --get-completions "\${(@)words[2,CURRENT]}" 2>/dev/null)`,
+  `  if (( \${#candidates} + \${#joined} )); then`,
+  `    _describe 'completions' candidates -- joined -S ''`,
+  '  else',
+  '    _files',
+  '  fi',
+  '}',
+  'compdef _my_tool_completion my-tool',
+];
+
+/**
+ * Expected lines of the fish completion script of `my-tool`.
+ *
+ * @private
+ * @constant {string[]} FISH_SCRIPT
+ */
+const FISH_SCRIPT = [
+  '# fish completion for my-tool',
+  'function __my_tool_completion',
+  '    set -l tokens (commandline -opc)',
+  '    set -e tokens[1]',
+  '    set -l current (commandline -ct)',
+  '    my-tool --get-completions $tokens "$current" 2>/dev/null',
+  'end',
+  `complete -c my-tool -f -a '(__my_tool_completion)'`,
+  `complete -c my-tool -n 'not __my_tool_completion | string length -q' -F`,
+];
+
+// ━━ TEST ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+describe('formatCompletion', () => {
+  it('should render the bash completion script of a command', () => {
+    assert.strictEqual(
+      formatCompletion('bash', { name: 'my-tool' }),
+      `${BASH_SCRIPT.join('\n')}\n`,
+    );
+  });
+
+  it('should render the zsh completion script of a command', () => {
+    assert.strictEqual(formatCompletion('zsh', { name: 'my-tool' }), `${ZSH_SCRIPT.join('\n')}\n`);
+  });
+
+  it('should render the fish completion script of a command', () => {
+    assert.strictEqual(
+      formatCompletion('fish', { name: 'my-tool' }),
+      `${FISH_SCRIPT.join('\n')}\n`,
+    );
+  });
+
+  it('should throw a "TypeError" when the shell or the command name is invalid', () => {
+    assert.throws(
+      () => formatCompletion('powershell', { name: 'tool' }),
+      THROWS_ERRORS_MESSAGES.INVALID_SHELL,
+    );
+    assert.throws(() => formatCompletion('bash'), THROWS_ERRORS_MESSAGES.INVALID_COMMAND_NAME);
+    assert.throws(
+      () => formatCompletion('bash', { name: 'tool; rm -rf ~' }),
+      THROWS_ERRORS_MESSAGES.INVALID_COMMAND_NAME,
+    );
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * @author Victor Giovanni Beltrán Rodríguez
+ * @file This file contains the test for the `formatHelp` function.
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+// » IMPORT MODULES
+import formatHelp from '#help';
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * This constant defines the errors that can be thrown by
+ * the `formatHelp` function.
+ *
+ * @private
+ * @constant {object} THROWS
+ */
+const THROWS_ERRORS_MESSAGES = {
+  INVALID_HELP: {
+    name: 'TypeError',
+    message: 'The "help" option must be a boolean or an object of help settings',
+  },
+  INVALID_HELP_WIDTH: {
+    name: 'TypeError',
+    message: 'The help "width" must be a positive integer',
+  },
+  INVALID_DEFINITION: {
+    name: 'TypeError',
+    message: 'The definition of the "port" option in "schema" is invalid',
+  },
+};
+
+/**
+ * Schema shared by the rendering tests.
+ *
+ * @private
+ * @constant {object} SCHEMA
+ */
+const SCHEMA = {
+  port: { type: 'integer', alias: 'p', default: 8080, description: 'Port to listen on' },
+  env: { choices: ['dev', 'prod'], required: true, description: 'Target environment' },
+  verbose: { type: 'count', alias: 'v' },
+  tag: { type: 'array', items: 'string', description: 'Tags' },
+};
+
+// ━━ TEST ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+describe('formatHelp', () => {
+  it('should render only the usage line when there are no options', () => {
+    assert.strictEqual(formatHelp(), 'Usage: command [options]');
+    assert.strictEqual(formatHelp({ usage: 'serve <dir>' }), 'Usage: serve <dir>');
+  });
+
+  it('should render the usage, description and options table', () => {
+    const text = formatHelp({
+      name: 'serve',
+      description: 'Serves the current directory.',
+      schema: SCHEMA,
+    });
+    assert.strictEqual(
+      text,
+      [
+        'Usage: serve [options]',
+        '',
+        'Serves the current directory.',
+        '',
+        'Options:',
+        '  -p, --port <integer>   Port to listen on (default: 8080)',
+        '      --env <value>      Target environment (choices: dev, prod) (required)',
+        '  -v, --verbose',
+        '      --tag <string...>  Tags',
+      ].join('\n'),
+    );
+  });
+
+  it('should wrap the text to the given width and move long labels to their own line', () => {
+    const text = formatHelp({
+      name: 'serve',
+      description: 'Serves the current directory over HTTP, with live reload.',
+      schema: SCHEMA,
+      width: 50,
+    });
+    assert.strictEqual(
+      text,
+      [
+        'Usage: serve [options]',
+        '',
+        'Serves the current directory over HTTP, with live',
+        'reload.',
+        '',
+        'Options:',
+        '  -p, --port <integer>  Port to listen on',
+        '                        (default: 8080)',
+        '      --env <value>     Target environment',
+        '                        (choices: dev, prod)',
+        '                        (required)',
+        '  -v, --verbose',
+        '      --tag <string...>',
+        '                        Tags',
+      ].join('\n'),
+    );
+  });
+
+  it('should show the aliases given in "alias" and the syntax of "simple" mode', () => {
+    const schema = { port: { type: 'integer', description: 'Port' }, dry: { type: 'boolean' } };
+    assert.strictEqual(
+      formatHelp({ schema, alias: { p: 'port' }, mode: 'simple' }),
+      [
+        'Usage: command [options]',
+        '',
+        'Options:',
+        '  p, port=<integer>  Port',
+        '  dry=<boolean>',
+      ].join('\n'),
+    );
+  });
+
+  it('should list the subcommands before the options', () => {
+    const commands = { deploy: { description: 'Deploy the app' }, status: {} };
+    assert.strictEqual(
+      formatHelp({ name: 'tool', commands, schema: { verbose: { type: 'boolean' } } }),
+      [
+        'Usage: tool <command> [options]',
+        '',
+        'Commands:',
+        '  deploy  Deploy the app',
+        '  status',
+        '',
+        'Options:',
+        '      --verbose',
+      ].join('\n'),
+    );
+  });
+
+  it('should throw a "TypeError" when the settings are invalid', () => {
+    assert.throws(() => formatHelp(null), THROWS_ERRORS_MESSAGES.INVALID_HELP);
+    assert.throws(() => formatHelp({ width: 0 }), THROWS_ERRORS_MESSAGES.INVALID_HELP_WIDTH);
+    assert.throws(
+      () => formatHelp({ schema: { port: { description: 1 } } }),
+      THROWS_ERRORS_MESSAGES.INVALID_DEFINITION,
+    );
+  });
+});
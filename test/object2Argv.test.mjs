@@ -0,0 +1,305 @@
+/**
+ * @author Victor Giovanni Beltrán Rodríguez
+ * @file This file contains the test for the `object2Argv` function.
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+// » IMPORT MODULES
+import { formatKey } from '#functions';
+import object2Argv from '#object2Argv';
+import parse from '#parse';
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * This constant defines the errors that can be thrown by
+ * the `object2Argv` function.
+ *
+ * @private
+ * @constant {object} THROWS
+ */
+const THROWS_ERRORS_MESSAGES = {
+  INVALID_OBJECT_TYPE: {
+    name: 'TypeError',
+    message: 'The "object" parameter must be an object',
+  },
+  INVALID_MODE: {
+    name: 'TypeError',
+    message: 'The "mode" option must be one of: simple, unix, mixed',
+  },
+  INVALID_QUOTE_TYPE: {
+    name: 'TypeError',
+    message: 'The "quote" option must be a boolean value',
+  },
+  INVALID_KEY_CHARACTER: {
+    name: 'TypeError',
+    message: 'The "db.max size" key has an invalid character " " at position 7',
+  },
+};
+
+/**
+ * Copies an expected result into objects with a `null` prototype, the way
+ * `parse()` builds them, so that `deepStrictEqual` compares the prototypes.
+ *
+ * @private
+ * @function asResult
+ * @param {*} value - The expected value.
+ * @returns {*} The value, its plain objects copied to `null`-prototype objects.
+ * @example
+ * ```js
+ * Object.getPrototypeOf(asResult({ db: { port: 5432 } }).db) // returns null
+ * ```
+ */
+const asResult = value => {
+  if (Array.isArray(value)) return value.map(asResult);
+  if (Object.getPrototypeOf(value ?? 0) !== Object.prototype) return value;
+
+  const entries = Object.entries(value).map(([key, item]) => [key, asResult(item)]);
+  return Object.assign(Object.create(null), Object.fromEntries(entries));
+};
+
+/**
+ * Words the keys of the generated objects are made of, single letters and a
+ * leading `no` included.
+ *
+ * @private
+ * @constant {string[]} WORDS
+ */
+const WORDS = ['no', 'max', 'pool', 'host', 'v', 'x', 'ünï'];
+
+/**
+ * Strings the values of the generated objects are picked from.
+ *
+ * @private
+ * @constant {string[]} TEXTS
+ */
+const TEXTS = ['John', 'hello world', "it's", 'a=b', '--dash', 'x,y', 'ünïcode', ''];
+
+/**
+ * Creates a seeded pseudo-random number generator (Park-Miller), so every
+ * run of the round-trip test checks the same objects.
+ *
+ * @private
+ * @function createRandom
+ * @param {number} seed - The seed of the sequence.
+ * @returns {Function} A function that returns the next number in `[0, 1)`.
+ * @example
+ * ```js
+ * const random = createRandom(42);
+ * random(); // returns the same number on every run
+ * ```
+ */
+const createRandom = seed => {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+};
+
+/**
+ * Generates an object of options that `parse()` can produce, along with the
+ * names of its options that hold arrays of values and the names of its
+ * top-level options.
+ *
+ * @private
+ * @function generateObject
+ * @param {Function} random - The random number generator.
+ * @param {string|Function} keyCase - The casing of the keys.
+ * @param {string} [prefix] - The option name of the object, empty at the top level.
+ * @param {number} [depth] - How deep the object is nested.
+ * @returns {Array} The `[object, arrayNames, optionNames]` triple.
+ * @example
+ * ```js
+ * generateObject(createRandom(1), 'camelcase');
+ * // Returns: [{ maxPool: 'John', host: { v: true } }, [], ['max-pool', 'host']]
+ * ```
+ */
+const generateObject = (random, keyCase, prefix = '', depth = 0) => {
+  const pick = items => items[Math.floor(random() * items.length)];
+  const primitive = () =>
+    pick([
+      () => pick(TEXTS),
+      () => Math.floor(random() * 2000) - 1000,
+      () => 1.5,
+      () => random() < 0.5,
+    ])();
+  const object = {};
+  const arrayNames = [];
+  const optionNames = Array.from({ length: 1 + Math.floor(random() * 4) }, () =>
+    [...new Set([pick(WORDS), ...(random() < 0.5 ? [pick(WORDS)] : [])])].join('-'),
+  );
+
+  [...new Set(optionNames)].forEach(optionName => {
+    const name = `${prefix}${optionName}`;
+    const key = formatKey(optionName, keyCase);
+    const kind = depth < 2 ? random() : random() / 2;
+
+    if (kind < 0.5 || (kind < 0.65 && prefix.includes('['))) {
+      object[key] = primitive();
+    } else if (kind < 0.65) {
+      object[key] = Array.from({ length: 1 + Math.floor(random() * 3) }, primitive);
+      arrayNames.push(name);
+    } else if (kind < 0.85) {
+      const [child, names] = generateObject(random, keyCase, `${name}.`, depth + 1);
+      object[key] = child;
+      arrayNames.push(...names);
+    } else {
+      object[key] = Array.from({ length: 1 + Math.floor(random() * 2) }, (_, index) =>
+        random() < 0.25
+          ? Array.from({ length: 1 + Math.floor(random() * 3) }, primitive)
+          : generateObject(random, keyCase, `${name}[${index}].`, depth + 1)[0],
+      );
+    }
+  });
+
+  if (prefix === '' && random() < 0.3) object._ = ['deploy', "it's done"];
+  if (prefix === '' && random() < 0.3) object['--'] = ['--raw', 'x=1'];
+  if (prefix === '' && random() < 0.3) object['--unknown'] = ['--zz=it', '-z'];
+
+  return [object, arrayNames, [...new Set(optionNames)]];
+};
+
+// ━━ TEST ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+describe('object2Argv', () => {
+  it('should write "key=value" arguments in simple mode', () => {
+    assert.deepStrictEqual(object2Argv({ name: 'John', age: 30, is_admin: true }), [
+      'name=John',
+      'age=30',
+      'is-admin=true',
+    ]);
+  });
+
+  it('should write flags, negated flags and "--key=value" arguments in unix mode', () => {
+    assert.deepStrictEqual(
+      object2Argv(
+        { v: true, name: 'John', cache: false, q: 'x', 'no-color': true },
+        { mode: 'unix' },
+      ),
+      ['-v', '--name=John', '--no-cache', '-q=x', '--no-color=true'],
+    );
+    assert.deepStrictEqual(object2Argv({ cache: false }, { mode: 'mixed', negate: false }), [
+      '--cache=false',
+    ]);
+  });
+
+  it('should write arrays as repeated options and nested objects as dotted names', () => {
+    const object = {
+      tags: ['a', 'b'],
+      db: { host: 'localhost', pool: { max: 10 } },
+      servers: [{ host: 'a' }, { host: 'b', tls: false }],
+    };
+
+    assert.deepStrictEqual(object2Argv(object, { mode: 'unix' }), [
+      '--tags=a',
+      '--tags=b',
+      '--db.host=localhost',
+      '--db.pool.max=10',
+      '--servers[0].host=a',
+      '--servers[1].host=b',
+      '--servers[1].tls=false',
+    ]);
+  });
+
+  it('should index the items of arrays nested in arrays', () => {
+    const object = { a: [1, [2, 3]], m: [[{ x: 'y' }], ['z']] };
+    const argv = object2Argv(object, { mode: 'unix' });
+
+    assert.deepStrictEqual(argv, [
+      '--a[0]=1',
+      '--a[1][0]=2',
+      '--a[1][1]=3',
+      '--m[0][0].x=y',
+      '--m[1][0]=z',
+    ]);
+    assert.deepStrictEqual(parse(argv, { mode: 'unix' }), asResult(object));
+  });
+
+  it('should turn the keys back into option names from their casing', () => {
+    const object = { outputFormat: 'json', dbConfig: { maxPool: 5 } };
+    assert.deepStrictEqual(object2Argv(object, { mode: 'unix', keyCase: 'camel' }), [
+      '--output-format=json',
+      '--db-config.max-pool=5',
+    ]);
+    assert.deepStrictEqual(object2Argv({ DRY_RUN: true }, { keyCase: 'constantcase' }), [
+      'dry-run=true',
+    ]);
+    assert.deepStrictEqual(object2Argv({ 'dry-run': true }, { keyCase: key => key }), [
+      'dry-run=true',
+    ]);
+  });
+
+  it('should write the positional arguments first and the passthrough arguments last', () => {
+    const object = { _: ['deploy', 'prod'], '--': ['--raw'], force: true, when: new Date(0) };
+    assert.deepStrictEqual(object2Argv(object, { mode: 'unix' }), [
+      'deploy',
+      'prod',
+      '--force',
+      '--when=1970-01-01T00:00:00.000Z',
+      '--',
+      '--raw',
+    ]);
+  });
+
+  it('should write the raw arguments of unknown options verbatim before the separator', () => {
+    const object = { env: 'prod', '--': ['--watch'], '--unknown': ['--tag=a', '-x', 'out'] };
+    const options = { mode: 'unix', unknown: 'passthrough', string: ['env'] };
+    const argv = object2Argv(object, options);
+
+    assert.deepStrictEqual(argv, ['--env=prod', '--tag=a', '-x', 'out', '--', '--watch']);
+    assert.deepStrictEqual(parse(argv, options), asResult(object));
+  });
+
+  it('should leave out undefined values', () => {
+    assert.deepStrictEqual(object2Argv({ name: undefined, tags: [undefined, 'a'] }), ['tags=a']);
+  });
+
+  it('should quote the arguments for a POSIX shell on request', () => {
+    const object = { msg: 'fix login', note: "it's", tag: 'v1' };
+    assert.deepStrictEqual(object2Argv(object, { mode: 'unix', quote: true }), [
+      "'--msg=fix login'",
+      `'--note=it'\\''s'`,
+      '--tag=v1',
+    ]);
+  });
+
+  it('should give back the object when its arguments are parsed with the same settings', () => {
+    const random = createRandom(2024);
+    const keyCases = ['snakecase', 'camelcase', 'kebabcase', 'pascalcase', 'constantcase'];
+
+    ['simple', 'unix', 'mixed'].forEach(mode => {
+      keyCases.forEach(keyCase => {
+        for (let run = 0; run < 40; run += 1) {
+          const [object, arrayNames, optionNames] = generateObject(random, keyCase);
+          const duplicates = Object.fromEntries(arrayNames.map(name => [name, 'array']));
+          const options = { mode, keyCase, duplicates };
+
+          if ('--unknown' in object) {
+            if (mode === 'simple') object['--unknown'] = ['zz=it'];
+            options.unknown = 'passthrough';
+            options.schema = Object.fromEntries(optionNames.map(name => [name, {}]));
+          }
+          const argv = object2Argv(object, options);
+
+          assert.deepStrictEqual(parse(argv, options), asResult(object), argv.join(' '));
+        }
+      });
+    });
+  });
+
+  it('should throw a "TypeError" when the object, the options or a key are invalid', () => {
+    assert.throws(() => object2Argv(['a']), THROWS_ERRORS_MESSAGES.INVALID_OBJECT_TYPE);
+    assert.throws(() => object2Argv({}, { mode: 'dos' }), THROWS_ERRORS_MESSAGES.INVALID_MODE);
+    assert.throws(
+      () => object2Argv({}, { quote: 'yes' }),
+      THROWS_ERRORS_MESSAGES.INVALID_QUOTE_TYPE,
+    );
+    assert.throws(
+      () => object2Argv({ db: { 'max size': 1 } }),
+      THROWS_ERRORS_MESSAGES.INVALID_KEY_CHARACTER,
+    );
+  });
+});
@@ -0,0 +1,1612 @@
+/**
+ * @author Victor Giovanni Beltrán Rodríguez
+ * @file This file contains the test for the `parse` function.
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+import { resolve } from 'node:path';
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+// » IMPORT MODULES
+import ArgvParseError from '#errors';
+import parse, { safeParse } from '#parse';
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * This constant defines the errors that can be thrown by
+ * the `parse` function.
+ *
+ * @private
+ * @constant {object} THROWS
+ */
+const THROWS_ERRORS_MESSAGES = {
+  INVALID_ARGV_TYPE: {
+    name: 'TypeError',
+    message: 'The "argv" parameter must be an array of strings',
+  },
+  INVALID_OPTIONS_TYPE: {
+    name: 'TypeError',
+    message: 'The "options" parameter must be an object',
+  },
+  INVALID_MODE: {
+    name: 'TypeError',
+    message: 'The "mode" option must be one of: simple, unix, mixed',
+  },
+  INVALID_DIALECTS: {
+    name: 'TypeError',
+    message:
+      'The "dialects" option must be an array of dialect names (windows, java) or { pattern, read } objects',
+  },
+  INVALID_KEY_PATTERN: {
+    name: 'TypeError',
+    message: 'The "keyPattern" option must be a regular expression',
+  },
+  INVALID_KEY_CHARACTER: {
+    name: 'ArgvParseError',
+    code: 'ERR_INVALID_FORMAT',
+    message: 'The "db.2nd" key has an invalid character "2" at position 4',
+  },
+  INVALID_KEY_RESULT: {
+    name: 'TypeError',
+    message: 'The "keyCase" function must return a non-empty string',
+  },
+  INVALID_BOOLEAN_TYPE: {
+    name: 'TypeError',
+    message: 'The "boolean" option must be an array of option names',
+  },
+  INVALID_KEY_CASE: {
+    name: 'TypeError',
+    message:
+      'The "keyCase" option must be one of: snakecase, camelcase, kebabcase, pascalcase, constantcase, none, or a function',
+  },
+  INVALID_POSITIONALS: {
+    name: 'TypeError',
+    message:
+      'The "minPositionals" and "maxPositionals" options must be non-negative integers, min <= max',
+  },
+  TOO_FEW_POSITIONALS: {
+    name: 'ArgvParseError',
+    message: 'Fewer positional arguments were provided than required',
+  },
+  TOO_MANY_POSITIONALS: {
+    name: 'ArgvParseError',
+    message: 'More positional arguments were provided than allowed',
+  },
+  INVALID_DUPLICATES: {
+    name: 'TypeError',
+    message:
+      'The "duplicates" option must be one of: last, first, error, array, or a map of option names to them',
+  },
+  INVALID_DELIMITER: {
+    name: 'TypeError',
+    message: 'The "delimiter" option must be a non-empty string',
+  },
+  INVALID_UNKNOWN: {
+    name: 'TypeError',
+    message: 'The "unknown" option must be one of: keep, strict, strip, passthrough',
+  },
+  UNKNOWN_OPTION: {
+    name: 'ArgvParseError',
+    message: 'Unknown option "--dryrun" (did you mean "--dry-run"?)',
+    code: 'ERR_UNKNOWN_OPTION',
+    token: '--dryrun',
+    index: 1,
+    suggestion: '--dry-run',
+  },
+  DUPLICATE_OPTION: {
+    name: 'ArgvParseError',
+    message: 'The "env" option may only be provided once',
+  },
+  CONFLICTING_KEY_PATH: {
+    name: 'ArgvParseError',
+    message: 'The "db.host" option cannot use "db" both as a value and as a nested object',
+  },
+  HUGE_INDEX: {
+    name: 'ArgvParseError',
+    message: 'The "a[4000000000].b" option uses index 4000000000 where the next index is 0',
+    code: 'ERR_INVALID_FORMAT',
+    token: '--a[4000000000].b=1',
+    index: 0,
+  },
+  SKIPPED_INDEX: {
+    name: 'ArgvParseError',
+    message: 'The "servers[2]" option uses index 2 where the next index is 1',
+    code: 'ERR_INVALID_FORMAT',
+    token: '--servers[2]=c',
+    index: 1,
+  },
+  CONFLICTING_KEY_VALUE: {
+    name: 'ArgvParseError',
+    message: 'The "db" option cannot use "db" both as a value and as a nested object',
+  },
+  INVALID_COERCE_TYPE: {
+    name: 'TypeError',
+    message:
+      'The "coerce" option must be a boolean or an object with the boolean "bigint", "nullish", "dates" and "json" settings',
+  },
+  INVALID_TYPES: {
+    name: 'TypeError',
+    message:
+      'The "types" option must map type names other than string, number, integer, boolean, array and count to functions',
+  },
+  INVALID_SCHEMA: {
+    name: 'TypeError',
+    message: 'The "schema" option must be an object of option definitions',
+  },
+  INVALID_DEFINITION: {
+    name: 'TypeError',
+    message: 'The definition of the "port" option in "schema" is invalid',
+  },
+  MISSING_VALUE: {
+    name: 'ArgvParseError',
+    message: 'The "name" option requires a value',
+  },
+  INVALID_INTEGER: {
+    name: 'ArgvParseError',
+    message: 'The "port" option expects a value of type "integer", received "8.5"',
+  },
+  INVALID_BOOLEAN: {
+    name: 'ArgvParseError',
+    message: 'The "ok" option expects a value of type "boolean", received "yes"',
+  },
+  MISSING_REQUIRED: {
+    name: 'ArgvParseError',
+    message: 'The "env" option is required',
+  },
+  INVALID_CHOICE: {
+    name: 'ArgvParseError',
+    message: 'The "env" option must be one of: dev, prod',
+  },
+  VALIDATION_FAILED: {
+    name: 'ArgvParseError',
+    message: 'The "name" option received an invalid value',
+  },
+  INVALID_ALIAS: {
+    name: 'TypeError',
+    message: 'The "alias" option must map alias names to option names',
+  },
+  DUPLICATE_ALIAS: {
+    name: 'TypeError',
+    message: 'The "h" alias is assigned to more than one option',
+  },
+  ALIAS: {
+    name: 'ArgvParseError',
+    message: 'The "port" option received conflicting values through its aliases',
+  },
+  NO_MATCH_UNIXMODE: {
+    name: 'ArgvParseError',
+    message: 'Arguments must follow Unix-style format (-a, --option=value)',
+  },
+  NO_MATCH_MIXED: {
+    name: 'ArgvParseError',
+    message: 'Arguments must follow "key=value" or Unix-style format (-a, --option=value)',
+  },
+  INVALID_ENV: {
+    name: 'TypeError',
+    message: 'The "env" option must be a prefix or an object with a "prefix" and a "source"',
+  },
+  INVALID_CONFIG: {
+    name: 'TypeError',
+    message:
+      'The "config" option must be an option name or an object with an "option", a "path" and a "read" function',
+  },
+  CONFIG_NOT_READABLE: {
+    name: 'ArgvParseError',
+    message: 'The "missing.json" config file cannot be read',
+  },
+  CONFIG_UNSUPPORTED: {
+    name: 'ArgvParseError',
+    message: 'The "app.yaml" config file must be a JSON, .env or INI file',
+  },
+  CONFIG_JSON_SYNTAX: {
+    name: 'ArgvParseError',
+    message: 'The "broken.json" config file is malformed at line 3',
+  },
+  CONFIG_INI_SYNTAX: {
+    name: 'ArgvParseError',
+    message: 'The "broken.ini" config file is malformed at line 2',
+  },
+  CONFIG_DOTENV_SYNTAX: {
+    name: 'ArgvParseError',
+    message: 'The "broken.env" config file is malformed at line 2',
+  },
+  INVALID_HELP: {
+    name: 'TypeError',
+    message: 'The "help" option must be a boolean or an object of help settings',
+  },
+  INVALID_COMPLETION: {
+    name: 'TypeError',
+    message: 'The "completion" option must be a boolean or an object with a "write" function',
+  },
+};
+
+/**
+ * Copies an expected result into objects with a `null` prototype, the way
+ * `parse()` builds them, so that `deepStrictEqual` compares the prototypes.
+ *
+ * @private
+ * @function asResult
+ * @param {*} value - The expected value.
+ * @returns {*} The value, its plain objects copied to `null`-prototype objects.
+ * @example
+ * ```js
+ * Object.getPrototypeOf(asResult({ db: { port: 5432 } }).db) // returns null
+ * ```
+ */
+const asResult = value => {
+  if (Array.isArray(value)) return value.map(asResult);
+  if (Object.getPrototypeOf(value ?? 0) !== Object.prototype) return value;
+
+  const entries = Object.entries(value).map(([key, item]) => [key, asResult(item)]);
+  return Object.assign(Object.create(null), Object.fromEntries(entries));
+};
+
+// ━━ TEST ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+describe('parse', () => {
+  it('should throw a "TypeError" when "argv" is not an array of strings', () => {
+    assert.throws(() => parse('name=John'), THROWS_ERRORS_MESSAGES.INVALID_ARGV_TYPE);
+    assert.throws(() => parse(['name=John', 42]), THROWS_ERRORS_MESSAGES.INVALID_ARGV_TYPE);
+  });
+
+  it('should throw a "TypeError" when an option has an invalid value', () => {
+    assert.throws(() => parse([], null), THROWS_ERRORS_MESSAGES.INVALID_OPTIONS_TYPE);
+    assert.throws(() => parse([], { mode: 'dos' }), THROWS_ERRORS_MESSAGES.INVALID_MODE);
+    assert.throws(() => parse([], { keyCase: 'upper' }), THROWS_ERRORS_MESSAGES.INVALID_KEY_CASE);
+    assert.throws(
+      () => parse([], { keyPattern: '[a-z]+' }),
+      THROWS_ERRORS_MESSAGES.INVALID_KEY_PATTERN,
+    );
+    assert.throws(
+      () => parse([], { boolean: 'verbose' }),
+      THROWS_ERRORS_MESSAGES.INVALID_BOOLEAN_TYPE,
+    );
+  });
+
+  it('should parse an explicit argument list without reading "process.argv"', () => {
+    const result = parse(['name=John', 'age=30']);
+    assert.deepStrictEqual(result, asResult({ name: 'John', age: 30 }));
+  });
+
+  it('should return an empty object when the argument list is empty', () => {
+    assert.deepStrictEqual(parse([]), asResult({}));
+  });
+
+  it('should apply the "mode" and "keyCase" options', () => {
+    const result = parse(['-h', '--output-format=json'], { mode: 'unix', keyCase: 'camelcase' });
+    assert.deepStrictEqual(result, asResult({ h: true, outputFormat: 'json' }));
+  });
+
+  it('should apply every supported key casing', () => {
+    const argv = ['--output-format=json', '--db.max_pool=3'];
+    const cases = [
+      ['snakecase', { output_format: 'json', db: { max_pool: 3 } }],
+      ['camelcase', { outputFormat: 'json', db: { maxPool: 3 } }],
+      ['kebabcase', { 'output-format': 'json', db: { 'max-pool': 3 } }],
+      ['pascalcase', { OutputFormat: 'json', Db: { MaxPool: 3 } }],
+      ['constantcase', { OUTPUT_FORMAT: 'json', DB: { MAX_POOL: 3 } }],
+      ['none', { 'output-format': 'json', db: { max_pool: 3 } }],
+      ['camel', { outputFormat: 'json', db: { maxPool: 3 } }],
+    ];
+    cases.forEach(([keyCase, expected]) => {
+      assert.deepStrictEqual(parse(argv, { mode: 'unix', keyCase }), asResult(expected));
+    });
+  });
+
+  it('should format keys with a custom "keyCase" function', () => {
+    const keyCase = key => key.replace(/-/g, ' ');
+    assert.deepStrictEqual(
+      parse(['--dry-run', '--db.max-pool=3'], { mode: 'unix', keyCase }),
+      asResult({
+        'dry run': true,
+        db: { 'max pool': 3 },
+      }),
+    );
+    assert.throws(
+      () => parse(['--dry-run'], { mode: 'unix', keyCase: () => '' }),
+      THROWS_ERRORS_MESSAGES.INVALID_KEY_RESULT,
+    );
+  });
+
+  it('should throw an "ArgvParseError" when two options map to the same key', () => {
+    assert.throws(() => parse(['--dry-run', '--dry_run'], { mode: 'unix' }), {
+      name: 'ArgvParseError',
+      message: 'The "dry-run" and "dry_run" options both map to the "dry_run" key',
+      code: 'ERR_KEY_COLLISION',
+      token: '--dry_run',
+      index: 1,
+    });
+    assert.throws(() => parse(['dry-run=1', 'dryRun=2'], { keyCase: 'camelcase' }), {
+      code: 'ERR_KEY_COLLISION',
+    });
+    assert.deepStrictEqual(
+      parse(['--dry-run', '--dry_run'], { mode: 'unix', keyCase: 'none' }),
+      asResult({
+        'dry-run': true,
+        dry_run: true,
+      }),
+    );
+  });
+
+  it('should throw an "ArgvParseError" when an option maps to a reserved key', () => {
+    assert.throws(() => parse(['--_=x'], { mode: 'unix', keyPattern: /[a-z_]+/ }), {
+      name: 'ArgvParseError',
+      message: 'The "_" option maps to the "_" key, which is reserved',
+      code: 'ERR_KEY_COLLISION',
+      token: '--_=x',
+      index: 0,
+    });
+    assert.throws(() => parse(['unknown=1'], { keyCase: key => `--${key}` }), {
+      code: 'ERR_KEY_COLLISION',
+    });
+  });
+
+  it('should let the arguments replace an environment variable spelled differently', () => {
+    const env = { prefix: 'APP', source: { APP_DRY_RUN: 'false' } };
+    assert.deepStrictEqual(
+      parse(['--dry_run'], { mode: 'unix', env }),
+      asResult({ dry_run: true }),
+    );
+  });
+
+  it('should keep values as strings when "coerce" is disabled', () => {
+    const result = parse(['--port=8080', '--debug=false', '--quiet'], {
+      mode: 'unix',
+      keyCase: 'none',
+      coerce: false,
+    });
+    assert.deepStrictEqual(result, asResult({ port: '8080', debug: 'false', quiet: true }));
+  });
+
+  it('should only read plain decimal numbers as numbers', () => {
+    const argv = ['a=12abc', 'b=0x1F', 'c=1_000', 'd=Infinity', 'e=1e3', 'f=-1.5', 'g=.5', 'h=0'];
+    assert.deepStrictEqual(
+      parse(argv),
+      asResult({
+        a: '12abc',
+        b: '0x1F',
+        c: '1_000',
+        d: 'Infinity',
+        e: 1000,
+        f: -1.5,
+        g: 0.5,
+        h: 0,
+      }),
+    );
+  });
+
+  it('should keep leading zeros and integers beyond the safe range as strings', () => {
+    const result = parse(['id=007', 'big=12345678901234567890', 'zip=-0012']);
+    assert.deepStrictEqual(
+      result,
+      asResult({ id: '007', big: '12345678901234567890', zip: '-0012' }),
+    );
+  });
+
+  it('should enable the "bigint", "nullish" and "dates" conversions of "coerce"', () => {
+    const argv = [
+      'big=12345678901234567890',
+      'a=null',
+      'b=undefined',
+      'c=2024-05-01',
+      'd=2024-02-30',
+    ];
+    const result = parse(argv, { coerce: { bigint: true, nullish: true, dates: true } });
+    assert.deepStrictEqual(
+      result,
+      asResult({
+        big: 12345678901234567890n,
+        a: null,
+        b: undefined,
+        c: new Date('2024-05-01'),
+        d: '2024-02-30',
+      }),
+    );
+    assert.deepStrictEqual(
+      parse(['a=null', 'c=2024-05-01']),
+      asResult({ a: 'null', c: '2024-05-01' }),
+    );
+  });
+
+  it('should keep every "=" after the first one in the value', () => {
+    assert.deepStrictEqual(
+      parse(['query=x==y', 'token=abc==']),
+      asResult({ query: 'x==y', token: 'abc==' }),
+    );
+    assert.deepStrictEqual(
+      parse(['--filter=a=b', '-f=x=y'], { mode: 'unix' }),
+      asResult({
+        filter: 'a=b',
+        f: 'x=y',
+      }),
+    );
+  });
+
+  it('should parse values that look like JSON when the "json" conversion is enabled', () => {
+    const argv = ['--meta={"a":1}', '--ids=[1,2]', '--title=[WIP] fix'];
+    assert.deepStrictEqual(
+      parse(argv, { mode: 'unix', coerce: { json: true } }),
+      asResult({
+        meta: { a: 1 },
+        ids: [1, 2],
+        title: '[WIP] fix',
+      }),
+    );
+    assert.deepStrictEqual(
+      parse(argv, { mode: 'unix' }),
+      asResult({
+        meta: '{"a":1}',
+        ids: '[1,2]',
+        title: '[WIP] fix',
+      }),
+    );
+  });
+
+  it('should throw an "ArgvParseError" naming the option when a JSON value is malformed', () => {
+    const options = { mode: 'unix', coerce: { json: true } };
+    assert.throws(() => parse(['--verbose', '--meta={a:1}'], options), {
+      name: 'ArgvParseError',
+      message: /^The "meta" option received malformed JSON: /,
+      code: 'ERR_INVALID_JSON',
+      token: '--meta={a:1}',
+      index: 1,
+    });
+  });
+
+  it('should throw a "TypeError" when "coerce" or "types" are invalid', () => {
+    assert.throws(() => parse([], { coerce: 'yes' }), THROWS_ERRORS_MESSAGES.INVALID_COERCE_TYPE);
+    assert.throws(
+      () => parse([], { coerce: { bigints: true } }),
+      THROWS_ERRORS_MESSAGES.INVALID_COERCE_TYPE,
+    );
+    assert.throws(
+      () => parse([], { types: { string: String } }),
+      THROWS_ERRORS_MESSAGES.INVALID_TYPES,
+    );
+    assert.throws(() => parse([], { types: { hex: 'hex' } }), THROWS_ERRORS_MESSAGES.INVALID_TYPES);
+  });
+
+  it('should skip malformed arguments only when "strict" is disabled', () => {
+    const argv = ['--name=John', '-abc!'];
+    assert.throws(() => parse(argv, { mode: 'unix' }), THROWS_ERRORS_MESSAGES.NO_MATCH_UNIXMODE);
+    assert.deepStrictEqual(
+      parse(argv, { mode: 'unix', strict: false }),
+      asResult({ name: 'John' }),
+    );
+  });
+
+  it('should take the next argument as the value of a Unix option', () => {
+    const result = parse(['--name', 'John', '-o', 'out.txt', '--offset', '-5'], { mode: 'unix' });
+    assert.deepStrictEqual(result, asResult({ name: 'John', o: 'out.txt', offset: -5 }));
+  });
+
+  it('should not take the next argument when it is another option', () => {
+    const result = parse(['--verbose', '--name', 'John', '-q'], { mode: 'unix' });
+    assert.deepStrictEqual(result, asResult({ verbose: true, name: 'John', q: true }));
+  });
+
+  it('should never take a value for options listed in "boolean"', () => {
+    const argv = ['--dry-run', 'file.txt'];
+    const result = parse(argv, { mode: 'unix', boolean: ['dry-run'] });
+    assert.deepStrictEqual(result, asResult({ dry_run: true, _: ['file.txt'] }));
+    assert.deepStrictEqual(parse(argv, { mode: 'unix' }), asResult({ dry_run: 'file.txt' }));
+  });
+
+  it('should expand clustered short flags into individual keys', () => {
+    const result = parse(['-la', '-xzf', 'archive.tar'], { mode: 'unix' });
+    assert.deepStrictEqual(
+      result,
+      asResult({ l: true, a: true, x: true, z: true, f: 'archive.tar' }),
+    );
+  });
+
+  it('should use the rest of a short cluster as the value of an option that takes one', () => {
+    const result = parse(['-vofile.txt', '-n5', '-d=/tmp'], { mode: 'unix', string: ['o'] });
+    assert.deepStrictEqual(result, asResult({ v: true, o: 'file.txt', n: 5, d: '/tmp' }));
+  });
+
+  it('should reject a short cluster with characters that are not letters', () => {
+    assert.throws(
+      () => parse(['-ab?'], { mode: 'unix' }),
+      THROWS_ERRORS_MESSAGES.NO_MATCH_UNIXMODE,
+    );
+  });
+
+  it('should accept digits, underscores and Unicode letters in keys', () => {
+    assert.deepStrictEqual(
+      parse(['retry2=3', 'max_size=10', 'http2=true', 'año=2024']),
+      asResult({
+        retry2: 3,
+        max_size: 10,
+        http2: true,
+        año: 2024,
+      }),
+    );
+    assert.deepStrictEqual(
+      parse(['--max_size=10', '--año-nuevo', '--http2'], { mode: 'unix' }),
+      asResult({
+        max_size: 10,
+        año_nuevo: true,
+        http2: true,
+      }),
+    );
+  });
+
+  it('should name the invalid character of a rejected key', () => {
+    assert.throws(() => parse(['db.2nd=x']), THROWS_ERRORS_MESSAGES.INVALID_KEY_CHARACTER);
+    assert.throws(() => parse(['--db.2nd=x'], { mode: 'unix' }), {
+      message: 'The "db.2nd" key has an invalid character "2" at position 4',
+      token: '--db.2nd=x',
+      index: 0,
+    });
+    assert.throws(() => parse(['--dry--run'], { mode: 'unix' }), {
+      message: 'The "dry--run" key has an invalid character "-" at position 4',
+    });
+  });
+
+  it('should follow a custom "keyPattern" for the keys', () => {
+    const keyPattern = /[a-z]+/;
+    assert.deepStrictEqual(
+      parse(['--db.host=x'], { mode: 'unix', keyPattern }),
+      asResult({
+        db: { host: 'x' },
+      }),
+    );
+    assert.throws(() => parse(['retry2=3'], { keyPattern }), {
+      message: 'The "retry2" key has an invalid character "2" at position 6',
+    });
+    assert.deepStrictEqual(parse(['Retry=3'], { keyPattern: /[a-z]+/i }), asResult({ Retry: 3 }));
+  });
+
+  it('should collect operands into "_" in both modes', () => {
+    const simple = parse(['build', 'target=es2020', 'src/', '-']);
+    const unix = parse(['src/', 'dist/', '--minify'], { mode: 'unix' });
+    assert.deepStrictEqual(simple, asResult({ target: 'es2020', _: ['build', 'src/', '-'] }));
+    assert.deepStrictEqual(unix, asResult({ minify: true, _: ['src/', 'dist/'] }));
+  });
+
+  it('should copy every argument after "--" verbatim into "--"', () => {
+    const argv = ['--port', '80', '--', '--port=90', '-x', 'name=John', '--'];
+    const result = parse(argv, { mode: 'unix' });
+    assert.deepStrictEqual(
+      result,
+      asResult({ port: 80, '--': ['--port=90', '-x', 'name=John', '--'] }),
+    );
+  });
+
+  it('should accept "key=value" pairs and Unix options together in "mixed" mode', () => {
+    const argv = ['env=prod', '--verbose', 'retries=3', '-o', 'out.txt', 'build'];
+    assert.deepStrictEqual(
+      parse(argv, { mode: 'mixed' }),
+      asResult({
+        env: 'prod',
+        verbose: true,
+        retries: 3,
+        o: 'out.txt',
+        _: ['build'],
+      }),
+    );
+    assert.throws(
+      () => parse(['env=prod', '-ab?'], { mode: 'mixed' }),
+      THROWS_ERRORS_MESSAGES.NO_MATCH_MIXED,
+    );
+  });
+
+  it('should read the Windows "/name:value" syntax when the "windows" dialect is enabled', () => {
+    const argv = ['/out:build.log', '/verbose', '/level=2', 'src/'];
+    assert.deepStrictEqual(
+      parse(argv, { dialects: ['windows'] }),
+      asResult({
+        out: 'build.log',
+        verbose: true,
+        level: 2,
+        _: ['src/'],
+      }),
+    );
+    assert.deepStrictEqual(
+      parse(['/verbose', 'src/'], { mode: 'unix', dialects: ['windows'] }),
+      asResult({
+        verbose: true,
+        _: ['src/'],
+      }),
+    );
+    assert.deepStrictEqual(parse(['/out:build.log']), asResult({ _: ['/out:build.log'] }));
+  });
+
+  it('should print the help text on "/?" when the "windows" dialect is enabled', () => {
+    const printed = [];
+    const help = { name: 'tool', write: text => printed.push(text) };
+    assert.deepStrictEqual(
+      parse(['/?'], { dialects: ['windows'], help }),
+      asResult({ help: true }),
+    );
+    assert.deepStrictEqual(parse(['/?'], { dialects: ['windows'] }), asResult({ help: true }));
+    assert.strictEqual(printed.length, 1);
+  });
+
+  it('should read Java "-Dname=value" properties when the "java" dialect is enabled', () => {
+    const argv = ['-Dlog.level=debug', '-Dcache', '--port', '80'];
+    assert.deepStrictEqual(
+      parse(argv, { mode: 'unix', dialects: ['java'] }),
+      asResult({
+        log: { level: 'debug' },
+        cache: true,
+        port: 80,
+      }),
+    );
+  });
+
+  it('should read the arguments of custom dialects', () => {
+    const plus = { pattern: /^\+(\w+)$/ };
+    const colon = { pattern: /^:(\w+)=(.*)$/, read: ([, name, value]) => [name, value.trim()] };
+    assert.deepStrictEqual(
+      parse(['+debug', ':name= John '], { dialects: [plus, colon] }),
+      asResult({
+        debug: true,
+        name: 'John',
+      }),
+    );
+  });
+
+  it('should throw a "TypeError" when "dialects" is invalid', () => {
+    assert.throws(
+      () => parse([], { dialects: 'windows' }),
+      THROWS_ERRORS_MESSAGES.INVALID_DIALECTS,
+    );
+    assert.throws(() => parse([], { dialects: ['dos'] }), THROWS_ERRORS_MESSAGES.INVALID_DIALECTS);
+    assert.throws(
+      () => parse([], { dialects: [{ pattern: '^\\+' }] }),
+      THROWS_ERRORS_MESSAGES.INVALID_DIALECTS,
+    );
+  });
+
+  it('should enforce "minPositionals" and "maxPositionals"', () => {
+    const options = { mode: 'unix', minPositionals: 1, maxPositionals: 2 };
+    assert.throws(() => parse(['--verbose'], options), THROWS_ERRORS_MESSAGES.TOO_FEW_POSITIONALS);
+    assert.throws(
+      () => parse(['a', 'b', 'c'], options),
+      THROWS_ERRORS_MESSAGES.TOO_MANY_POSITIONALS,
+    );
+    assert.throws(
+      () => parse([], { minPositionals: 2, maxPositionals: 1 }),
+      THROWS_ERRORS_MESSAGES.INVALID_POSITIONALS,
+    );
+    assert.deepStrictEqual(
+      parse(['a', '--', 'b', 'c'], options),
+      asResult({ _: ['a'], '--': ['b', 'c'] }),
+    );
+  });
+
+  it('should set an option to "false" when it is negated with "--no-"', () => {
+    const result = parse(['--no-color', '--no-cache', 'src/'], { mode: 'unix' });
+    assert.deepStrictEqual(result, asResult({ color: false, cache: false, _: ['src/'] }));
+  });
+
+  it('should let the last of "--name" and "--no-name" win', () => {
+    assert.deepStrictEqual(
+      parse(['--color', '--no-color'], { mode: 'unix' }),
+      asResult({ color: false }),
+    );
+    assert.deepStrictEqual(
+      parse(['--no-color', '--color'], { mode: 'unix' }),
+      asResult({ color: true }),
+    );
+  });
+
+  it('should keep "--no-" options that are declared by name or when "negate" is disabled', () => {
+    const declared = parse(['--no-sandbox', '--no-color'], {
+      mode: 'unix',
+      boolean: ['no-sandbox'],
+    });
+    const disabled = parse(['--no-color'], { mode: 'unix', negate: false });
+    assert.deepStrictEqual(declared, asResult({ no_sandbox: true, color: false }));
+    assert.deepStrictEqual(disabled, asResult({ no_color: true }));
+  });
+
+  it('should apply the "duplicates" policy to repeated options', () => {
+    const argv = ['--env=dev', '--env=prod'];
+    assert.deepStrictEqual(parse(argv, { mode: 'unix' }), asResult({ env: 'prod' }));
+    assert.deepStrictEqual(
+      parse(argv, { mode: 'unix', duplicates: 'first' }),
+      asResult({ env: 'dev' }),
+    );
+    assert.deepStrictEqual(
+      parse(argv, { mode: 'unix', duplicates: 'array' }),
+      asResult({
+        env: ['dev', 'prod'],
+      }),
+    );
+    assert.throws(
+      () => parse(argv, { mode: 'unix', duplicates: 'error' }),
+      THROWS_ERRORS_MESSAGES.DUPLICATE_OPTION,
+    );
+  });
+
+  it('should apply per-option policies and leave other options as last-wins', () => {
+    const argv = ['include=a', 'level=1', 'include=b', 'level=2'];
+    const result = parse(argv, { duplicates: { include: 'array' } });
+    assert.deepStrictEqual(result, asResult({ include: ['a', 'b'], level: 2 }));
+  });
+
+  it('should split "array" values on "delimiter" and convert each element', () => {
+    const options = { mode: 'unix', duplicates: { tags: 'array', ports: 'array' }, delimiter: ',' };
+    const result = parse(['--tags=a,b,c', '--ports', '80,443', '--ports=true'], options);
+    assert.deepStrictEqual(result, asResult({ tags: ['a', 'b', 'c'], ports: [80, 443, true] }));
+  });
+
+  it('should throw a "TypeError" when "duplicates" or "delimiter" are invalid', () => {
+    assert.throws(
+      () => parse([], { duplicates: 'merge' }),
+      THROWS_ERRORS_MESSAGES.INVALID_DUPLICATES,
+    );
+    assert.throws(
+      () => parse([], { duplicates: { tags: 'all' } }),
+      THROWS_ERRORS_MESSAGES.INVALID_DUPLICATES,
+    );
+    assert.throws(() => parse([], { delimiter: '' }), THROWS_ERRORS_MESSAGES.INVALID_DELIMITER);
+  });
+
+  it('should build nested objects from dotted keys', () => {
+    const result = parse(['--db.host=x', '--db.port', '5432', '--db.ssl'], { mode: 'unix' });
+    const simple = parse(['db.host=x', 'db.port=5432']);
+    assert.deepStrictEqual(result, asResult({ db: { host: 'x', port: 5432, ssl: true } }));
+    assert.deepStrictEqual(simple, asResult({ db: { host: 'x', port: 5432 } }));
+  });
+
+  it('should build arrays from bracket indices', () => {
+    const argv = ['--servers[0].name=a', '--servers[1].name=b', '--servers[1].port=80'];
+    const result = parse(argv, { mode: 'unix' });
+    assert.deepStrictEqual(result, asResult({ servers: [{ name: 'a' }, { name: 'b', port: 80 }] }));
+  });
+
+  it('should throw an "ArgvParseError" when an index skips the next free index', () => {
+    assert.throws(
+      () => parse(['--a[4000000000].b=1'], { mode: 'unix' }),
+      THROWS_ERRORS_MESSAGES.HUGE_INDEX,
+    );
+    assert.throws(
+      () => parse(['--servers[0]=a', '--servers[2]=c'], { mode: 'unix' }),
+      THROWS_ERRORS_MESSAGES.SKIPPED_INDEX,
+    );
+    assert.throws(() => parse(['servers[5].name=a']), { code: 'ERR_INVALID_FORMAT' });
+  });
+
+  it('should format every segment of a dotted key on its own', () => {
+    const argv = ['--log-config.max-size=10', '--no-log-config.use-color'];
+    const result = parse(argv, { mode: 'unix', keyCase: 'camelcase' });
+    assert.deepStrictEqual(result, asResult({ logConfig: { maxSize: 10, useColor: false } }));
+  });
+
+  it('should throw an "ArgvParseError" when a key is both a value and a nested object', () => {
+    assert.throws(
+      () => parse(['--db=x', '--db.host=y'], { mode: 'unix' }),
+      THROWS_ERRORS_MESSAGES.CONFLICTING_KEY_PATH,
+    );
+    assert.throws(
+      () => parse(['--db.host=y', '--db=x'], { mode: 'unix' }),
+      THROWS_ERRORS_MESSAGES.CONFLICTING_KEY_VALUE,
+    );
+  });
+
+  it('should convert values to the type declared in "schema" instead of guessing', () => {
+    const schema = {
+      id: { type: 'string' },
+      port: { type: 'integer' },
+      ratio: { type: 'number' },
+      force: { type: 'boolean' },
+      tag: { type: 'array', items: 'string' },
+    };
+    const argv = [
+      '--id',
+      '007',
+      '--port=80',
+      '--ratio=.5',
+      '--force',
+      'src/',
+      '--tag=1',
+      '--tag=2',
+    ];
+    const result = parse(argv, { mode: 'unix', schema });
+    assert.deepStrictEqual(
+      result,
+      asResult({
+        id: '007',
+        port: 80,
+        ratio: 0.5,
+        force: true,
+        tag: ['1', '2'],
+        _: ['src/'],
+      }),
+    );
+  });
+
+  it('should convert values with the built-in coercers', () => {
+    const schema = {
+      timeout: { type: 'duration' },
+      size: { type: 'bytes' },
+      home: { type: 'url' },
+      out: { type: 'path' },
+      since: { type: 'date' },
+    };
+    const argv = ['--timeout=1h30m', '--size=1.5KiB', '--home=https://example.com/', '--out=dist'];
+    const result = parse([...argv, '--since=2024-05-01T10:30:00Z'], { mode: 'unix', schema });
+    assert.deepStrictEqual(
+      result,
+      asResult({
+        timeout: 5400000,
+        size: 1536,
+        home: new URL('https://example.com/'),
+        out: resolve('dist'),
+        since: new Date('2024-05-01T10:30:00Z'),
+      }),
+    );
+    assert.throws(() => parse(['--timeout=5x'], { mode: 'unix', schema }), {
+      name: 'ArgvParseError',
+      message: 'The "timeout" option expects a value of type "duration", received "5x"',
+      code: 'ERR_INVALID_VALUE',
+    });
+    assert.throws(() => parse(['--size=10XB'], { mode: 'unix', schema }), {
+      code: 'ERR_INVALID_VALUE',
+    });
+  });
+
+  it('should convert values with the custom coercers of "types"', () => {
+    const hex = value => {
+      if (!/^[0-9a-f]+$/i.test(value)) throw new Error('Not a hexadecimal number');
+      return parseInt(value, 16);
+    };
+    const options = {
+      mode: 'unix',
+      types: { hex },
+      schema: { mask: { type: 'hex' }, ids: { type: 'array', items: 'hex' } },
+    };
+    assert.deepStrictEqual(
+      parse(['--mask=1F', '--ids=a', '--ids=ff'], options),
+      asResult({
+        mask: 31,
+        ids: [10, 255],
+      }),
+    );
+    assert.throws(() => parse(['--mask=xyz'], options), {
+      message: 'The "mask" option expects a value of type "hex", received "xyz"',
+      code: 'ERR_INVALID_VALUE',
+    });
+  });
+
+  it('should keep the values of "raw" options exactly as given', () => {
+    const schema = { id: { raw: true }, zip: { type: 'integer', raw: true } };
+    assert.deepStrictEqual(
+      parse(['id=0042', 'zip=true', 'n=0042'], { schema }),
+      asResult({
+        id: '0042',
+        zip: 'true',
+        n: '0042',
+      }),
+    );
+  });
+
+  it('should count the occurrences of "count" options', () => {
+    const schema = { v: { type: 'count' }, verbose: { type: 'count' } };
+    const result = parse(['-vvv', '--verbose', '-v'], { mode: 'unix', schema });
+    assert.deepStrictEqual(result, asResult({ v: 4, verbose: 1 }));
+  });
+
+  it('should read the value of a "count" option from every source as the count', () => {
+    const options = { mode: 'unix', schema: { v: { type: 'count' } } };
+    const env = { prefix: 'APP', source: { APP_V: '3' } };
+    assert.deepStrictEqual(parse(['--v=3'], options), asResult({ v: 3 }));
+    assert.deepStrictEqual(parse(['-v2'], options), asResult({ v: 2 }));
+    assert.deepStrictEqual(parse([], { ...options, env }), asResult({ v: 3 }));
+    assert.throws(() => parse(['--v=lots'], options), {
+      name: 'ArgvParseError',
+      message: 'The "v" option expects a value of type "count", received "lots"',
+      code: 'ERR_INVALID_VALUE',
+      token: '--v=lots',
+      index: 0,
+    });
+    assert.throws(() => parse(['--v=-1'], options), { code: 'ERR_INVALID_VALUE' });
+    assert.throws(() => parse([], { ...options, env: { ...env, source: { APP_V: '1.5' } } }), {
+      code: 'ERR_INVALID_VALUE',
+      token: 'APP_V',
+    });
+  });
+
+  it('should fill in the defaults of options that are not provided', () => {
+    const schema = { env: { default: 'dev' }, 'db.port': { type: 'integer', default: 5432 } };
+    const result = parse(['--db.host=x'], { mode: 'unix', schema });
+    assert.deepStrictEqual(result, asResult({ env: 'dev', db: { host: 'x', port: 5432 } }));
+  });
+
+  it('should throw an "ArgvParseError" when a value does not match its declared type', () => {
+    const schema = { port: { type: 'integer' }, name: { type: 'string' }, ok: { type: 'boolean' } };
+    const options = { mode: 'unix', schema };
+    assert.throws(() => parse(['--port=8.5'], options), THROWS_ERRORS_MESSAGES.INVALID_INTEGER);
+    assert.throws(() => parse(['--name'], options), THROWS_ERRORS_MESSAGES.MISSING_VALUE);
+    assert.throws(() => parse(['--ok=yes'], options), THROWS_ERRORS_MESSAGES.INVALID_BOOLEAN);
+    assert.throws(() => parse(['--port=0x1F'], options), { code: 'ERR_INVALID_VALUE' });
+    assert.throws(() => parse(['--port=12345678901234567890'], options), {
+      code: 'ERR_INVALID_VALUE',
+    });
+    assert.deepStrictEqual(
+      parse(['--port=12345678901234567890'], { ...options, coerce: { bigint: true } }),
+      asResult({ port: 12345678901234567890n }),
+    );
+  });
+
+  it('should throw an "ArgvParseError" when a boolean is given to an option of another type', () => {
+    const schema = { port: { type: 'integer' }, since: { type: 'date' }, ok: { type: 'boolean' } };
+    const config = { read: () => '{ "port": true }' };
+
+    assert.throws(() => parse(['--no-port'], { mode: 'unix', schema }), {
+      code: 'ERR_INVALID_VALUE',
+      message: 'The "port" option expects a value of type "integer", received "false"',
+      token: '--no-port',
+    });
+    assert.throws(() => parse(['--no-since'], { mode: 'unix', schema }), {
+      code: 'ERR_INVALID_VALUE',
+    });
+    assert.throws(() => parse(['--config=app.json'], { mode: 'unix', schema, config }), {
+      code: 'ERR_INVALID_VALUE',
+      message: 'The "port" option expects a value of type "integer", received "true"',
+      token: 'app.json',
+    });
+    assert.deepStrictEqual(parse(['--no-ok'], { mode: 'unix', schema }), asResult({ ok: false }));
+  });
+
+  it('should throw an "ArgvParseError" when a required option is missing', () => {
+    const schema = { env: { required: true } };
+    assert.throws(() => parse([], { schema }), THROWS_ERRORS_MESSAGES.MISSING_REQUIRED);
+  });
+
+  it('should throw an "ArgvParseError" when a value is not one of the allowed choices', () => {
+    const schema = { env: { choices: ['dev', 'prod'] } };
+    assert.deepStrictEqual(parse(['env=prod'], { schema }), asResult({ env: 'prod' }));
+    assert.throws(() => parse(['env=qa'], { schema }), THROWS_ERRORS_MESSAGES.INVALID_CHOICE);
+  });
+
+  it('should report the code, token and position of the failing argument', () => {
+    const schema = { port: { type: 'integer' } };
+    const env = { prefix: 'APP', source: { APP_PORT: 'x' } };
+
+    assert.throws(() => parse(['--verbose', '--port', 'x'], { mode: 'unix', schema }), {
+      name: 'ArgvParseError',
+      code: 'ERR_INVALID_VALUE',
+      token: '--port',
+      index: 1,
+    });
+    assert.throws(() => parse(['a', 'b'], { mode: 'unix', maxPositionals: 1 }), {
+      code: 'ERR_TOO_MANY_POSITIONALS',
+      token: 'b',
+      index: 1,
+    });
+    assert.throws(() => parse([], { mode: 'unix', schema, env }), {
+      code: 'ERR_INVALID_VALUE',
+      token: 'APP_PORT',
+      index: undefined,
+    });
+    assert.throws(() => parse(['--port', 'x'], { mode: 'unix', schema }), ArgvParseError);
+  });
+
+  it('should suggest the closest name when an argument looks like a typo', () => {
+    const options = { mode: 'unix', schema: { env: { choices: ['dev', 'prod'] } } };
+
+    assert.throws(() => parse(['--env', 'prdo'], options), {
+      code: 'ERR_INVALID_CHOICE',
+      message: 'The "env" option must be one of: dev, prod (did you mean "prod"?)',
+      token: '--env',
+      index: 0,
+      suggestion: 'prod',
+    });
+    assert.throws(() => parse(['---env=dev'], options), {
+      code: 'ERR_INVALID_FORMAT',
+      token: '---env=dev',
+      suggestion: '--env',
+    });
+    assert.throws(() => parse(['--env', 'staging'], options), { suggestion: undefined });
+  });
+
+  it('should throw an "ArgvParseError" when a custom validator rejects a value', () => {
+    const schema = {
+      port: { type: 'integer', validate: port => port < 65536 || 'Port out of range' },
+      name: { validate: name => name.length > 2 },
+    };
+    assert.throws(() => parse(['port=70000'], { schema }), { message: 'Port out of range' });
+    assert.throws(() => parse(['name=Jo'], { schema }), THROWS_ERRORS_MESSAGES.VALIDATION_FAILED);
+  });
+
+  it('should throw a "TypeError" when "schema" is invalid', () => {
+    assert.throws(() => parse([], { schema: [] }), THROWS_ERRORS_MESSAGES.INVALID_SCHEMA);
+    assert.throws(
+      () => parse([], { schema: { port: { type: 'int' } } }),
+      THROWS_ERRORS_MESSAGES.INVALID_DEFINITION,
+    );
+  });
+
+  it('should store aliases under the name of the option they stand for', () => {
+    const options = { mode: 'unix', alias: { h: 'help', v: 'verbose' } };
+    const result = parse(['-h', '--help', '-v'], options);
+    assert.deepStrictEqual(result, asResult({ help: true, verbose: true }));
+  });
+
+  it('should use the type of the option for aliases declared in "schema"', () => {
+    const schema = { output: { type: 'string', alias: ['o', 'out'] }, force: { alias: 'f' } };
+    const result = parse(['-fofile.txt'], { mode: 'unix', schema });
+    assert.deepStrictEqual(result, asResult({ force: true, output: 'file.txt' }));
+  });
+
+  it('should also copy values under every alias when "mirrorAliases" is enabled', () => {
+    const schema = { port: { type: 'integer', alias: 'p', default: 80 } };
+    const result = parse(['-h'], {
+      mode: 'unix',
+      schema,
+      alias: { h: 'help' },
+      mirrorAliases: true,
+    });
+    assert.deepStrictEqual(result, asResult({ help: true, port: 80, h: true, p: 80 }));
+  });
+
+  it('should throw an "ArgvParseError" when an option and its alias receive different values', () => {
+    const options = { mode: 'unix', alias: { p: 'port', t: 'tag' }, duplicates: { tag: 'array' } };
+    assert.throws(() => parse(['-p', '80', '--port=90'], options), THROWS_ERRORS_MESSAGES.ALIAS);
+    assert.deepStrictEqual(
+      parse(['-p', '80', '--port=80', '-t', 'a', '--tag=b'], options),
+      asResult({
+        port: 80,
+        tag: ['a', 'b'],
+      }),
+    );
+  });
+
+  it('should throw a "TypeError" when aliases are invalid', () => {
+    const schema = { help: { alias: 'h' } };
+    assert.throws(() => parse([], { alias: { h: 1 } }), THROWS_ERRORS_MESSAGES.INVALID_ALIAS);
+    assert.throws(
+      () => parse([], { schema, alias: { h: 'host' } }),
+      THROWS_ERRORS_MESSAGES.DUPLICATE_ALIAS,
+    );
+  });
+
+  it('should print the help text and stop parsing on "--help" or "-h" when "help" is enabled', () => {
+    const printed = [];
+    const help = { name: 'serve', width: 80, write: text => printed.push(text) };
+    const schema = { port: { type: 'integer', description: 'Port' } };
+    const expected = [
+      'Usage: serve [options]',
+      '',
+      'Options:',
+      '  -h, --help            Show this help text',
+      '      --port <integer>  Port',
+      '',
+    ].join('\n');
+
+    assert.deepStrictEqual(
+      parse(['--port', 'x', '--help'], { mode: 'unix', schema, help }),
+      asResult({
+        help: true,
+      }),
+    );
+    assert.deepStrictEqual(parse(['-h'], { mode: 'unix', schema, help }), asResult({ help: true }));
+    assert.deepStrictEqual(printed, [expected, expected]);
+  });
+
+  it('should leave "-h" and "--help" alone when "help" is disabled or "-h" is taken', () => {
+    const write = () => assert.fail('help text printed');
+    const schema = { host: { type: 'string', alias: 'h' } };
+    assert.deepStrictEqual(parse(['--help'], { mode: 'unix' }), asResult({ help: true }));
+    assert.deepStrictEqual(
+      parse(['-h', 'db'], { mode: 'unix', schema, help: { write } }),
+      asResult({
+        host: 'db',
+      }),
+    );
+    assert.deepStrictEqual(
+      parse(['--', '--help'], { mode: 'unix', help: { write } }),
+      asResult({
+        '--': ['--help'],
+      }),
+    );
+  });
+
+  it('should read the prefixed environment variables as options when "env" is set', () => {
+    const source = {
+      MYAPP_LOG_LEVEL: 'debug',
+      MYAPP_PORT: '8080',
+      MYAPP_DB__HOST: 'localhost',
+      MYAPP_V: 'true',
+      'MYAPP_NOT-AN-OPTION': 'x',
+      HOME: '/root',
+    };
+    const result = parse([], {
+      mode: 'unix',
+      keyCase: 'camelcase',
+      alias: { v: 'verbose' },
+      env: { prefix: 'MYAPP', source },
+    });
+    assert.deepStrictEqual(
+      result,
+      asResult({
+        logLevel: 'debug',
+        port: 8080,
+        db: { host: 'localhost' },
+        verbose: true,
+      }),
+    );
+  });
+
+  it('should give precedence to the command line over the environment variables', () => {
+    const env = { prefix: 'MYAPP', source: { MYAPP_PORT: '8080', MYAPP_DB__HOST: 'localhost' } };
+    assert.deepStrictEqual(
+      parse(['--port=90', '--db=sqlite'], { mode: 'unix', env }),
+      asResult({
+        port: 90,
+        db: 'sqlite',
+      }),
+    );
+    assert.deepStrictEqual(
+      parse(['--tag', 'a'], { mode: 'unix', env, duplicates: 'array' }),
+      asResult({
+        port: [8080],
+        db: { host: ['localhost'] },
+        tag: ['a'],
+      }),
+    );
+  });
+
+  it('should apply the schema to the values of environment variables', () => {
+    const schema = { port: { type: 'string' }, env: { required: true } };
+    const source = { APP_PORT: '8080', APP_ENV: 'prod' };
+    assert.deepStrictEqual(
+      parse([], { schema, env: { prefix: 'APP', source } }),
+      asResult({
+        port: '8080',
+        env: 'prod',
+      }),
+    );
+  });
+
+  it('should throw a "TypeError" when "env" is invalid', () => {
+    assert.throws(() => parse([], { env: true }), THROWS_ERRORS_MESSAGES.INVALID_ENV);
+    assert.throws(() => parse([], { env: '' }), THROWS_ERRORS_MESSAGES.INVALID_ENV);
+    assert.throws(
+      () => parse([], { env: { prefix: 'APP', source: 'PATH=/bin' } }),
+      THROWS_ERRORS_MESSAGES.INVALID_ENV,
+    );
+  });
+
+  it('should read the options of the config file given with "--config"', () => {
+    const files = {
+      'app.json': '{ "db": { "host": "localhost", "port": 5432 }, "tags": ["a", "b"] }',
+      'app.ini': '; Defaults\nname = demo\n[db]\nhost = "db.local" ; primary\nport: 6543\n',
+      '.env': '# Defaults\nexport LOG_LEVEL=debug\nDB__HOST="env host"\n',
+    };
+    const config = { read: file => files[file] };
+
+    assert.deepStrictEqual(
+      parse(['--config', 'app.json'], { mode: 'unix', config }),
+      asResult({
+        db: { host: 'localhost', port: 5432 },
+        tags: ['a', 'b'],
+        config: 'app.json',
+      }),
+    );
+    assert.deepStrictEqual(
+      parse(['--config=app.ini'], { mode: 'unix', config }),
+      asResult({
+        name: 'demo',
+        db: { host: 'db.local', port: 6543 },
+        config: 'app.ini',
+      }),
+    );
+    assert.deepStrictEqual(
+      parse(['settings=.env'], { config: { ...config, option: 'settings' } }),
+      asResult({
+        log_level: 'debug',
+        db: { host: 'env host' },
+        settings: '.env',
+      }),
+    );
+  });
+
+  it('should layer defaults, config file, environment and command line in that order', () => {
+    const config = {
+      path: 'app.json',
+      read: () => '{ "db": { "host": "file", "port": 1, "user": "file" }, "debug": true }',
+    };
+    const env = { prefix: 'APP', source: { APP_DB__PORT: '2', APP_DB__USER: 'env' } };
+    const schema = { 'db.name': { default: 'app' }, 'db.user': { type: 'string' } };
+    assert.deepStrictEqual(
+      parse(['--db.user=cli'], { mode: 'unix', config, env, schema }),
+      asResult({
+        debug: true,
+        db: { host: 'file', port: 2, user: 'cli', name: 'app' },
+      }),
+    );
+  });
+
+  it('should skip a missing default config file and "--no-config"', () => {
+    const read = () => {
+      throw Object.assign(new Error('ENOENT: no such file or directory'), { code: 'ENOENT' });
+    };
+    assert.deepStrictEqual(parse([], { config: { path: 'app.json', read } }), asResult({}));
+    assert.deepStrictEqual(
+      parse(['--no-config'], { mode: 'unix', config: { path: 'x.json' } }),
+      asResult({
+        config: false,
+      }),
+    );
+    assert.throws(
+      () => parse(['--config', 'missing.json'], { mode: 'unix', config: { read } }),
+      THROWS_ERRORS_MESSAGES.CONFIG_NOT_READABLE,
+    );
+  });
+
+  it('should throw an "ArgvParseError" naming the file and line when a config file is malformed', () => {
+    const files = {
+      'broken.json': '{\n  "db": {\n    "host": ,\n  }\n}',
+      'broken.ini': 'name = demo\nnot an assignment\n',
+      'broken.env': 'NAME=demo\nQUOTED="not closed\n',
+    };
+    const options = { mode: 'unix', config: { read: file => files[file] } };
+    const cases = [
+      ['broken.json', THROWS_ERRORS_MESSAGES.CONFIG_JSON_SYNTAX],
+      ['broken.ini', THROWS_ERRORS_MESSAGES.CONFIG_INI_SYNTAX],
+      ['broken.env', THROWS_ERRORS_MESSAGES.CONFIG_DOTENV_SYNTAX],
+      ['app.yaml', THROWS_ERRORS_MESSAGES.CONFIG_UNSUPPORTED],
+    ];
+    cases.forEach(([file, error]) => {
+      assert.throws(() => parse(['--config', file], options), error);
+    });
+  });
+
+  it('should keep the options that are not declared by default', () => {
+    assert.deepStrictEqual(
+      parse(['--dryrun'], { mode: 'unix', boolean: ['dry-run'] }),
+      asResult({
+        dryrun: true,
+      }),
+    );
+  });
+
+  it('should throw an "ArgvParseError" for options that are not declared with "strict"', () => {
+    const options = { mode: 'unix', unknown: 'strict', boolean: ['dry-run'], schema: { db: {} } };
+
+    assert.deepStrictEqual(
+      parse(['--dry-run', '--db.host=x', '--no-dry-run'], options),
+      asResult({
+        dry_run: false,
+        db: { host: 'x' },
+      }),
+    );
+    assert.throws(
+      () => parse(['deploy', '--dryrun'], options),
+      THROWS_ERRORS_MESSAGES.UNKNOWN_OPTION,
+    );
+    assert.throws(() => parse(['nmae=John'], { unknown: 'strict', schema: { name: {} } }), {
+      message: 'Unknown option "nmae" (did you mean "name=John"?)',
+      code: 'ERR_UNKNOWN_OPTION',
+    });
+  });
+
+  it('should drop the options that are not declared with "strip"', () => {
+    const options = { mode: 'unix', unknown: 'strip', schema: { env: {} } };
+    assert.deepStrictEqual(
+      parse(['--dryrun', '--env', 'prod', '-x'], options),
+      asResult({ env: 'prod' }),
+    );
+    assert.deepStrictEqual(
+      parse(['nmae=John', 'env=dev'], { ...options, mode: 'simple' }),
+      asResult({
+        env: 'dev',
+      }),
+    );
+  });
+
+  it('should collect the raw arguments of undeclared options with "passthrough"', () => {
+    const options = { mode: 'unix', unknown: 'passthrough', boolean: ['v'], schema: { env: {} } };
+    const argv = ['--env', 'prod', '--tag=a', '-vxf', 'out', 'file', '--', '--watch'];
+
+    assert.deepStrictEqual(
+      parse(argv, options),
+      asResult({
+        env: 'prod',
+        v: true,
+        _: ['file'],
+        '--': ['--watch'],
+        '--unknown': ['--tag=a', '-x', '-f', 'out'],
+      }),
+    );
+    assert.deepStrictEqual(
+      parse(['nmae=John', 'env=dev'], { ...options, mode: 'simple' }),
+      asResult({
+        env: 'dev',
+        '--unknown': ['nmae=John'],
+      }),
+    );
+  });
+
+  it('should keep an option named "unknown" apart from the passthrough arguments', () => {
+    const options = { mode: 'unix', unknown: 'passthrough', string: ['unknown'] };
+    assert.deepStrictEqual(
+      parse(['--unknown=yes', '--foo'], options),
+      asResult({
+        unknown: 'yes',
+        '--unknown': ['--foo'],
+      }),
+    );
+  });
+
+  it('should ignore undeclared environment variables unless unknown options are kept', () => {
+    const env = { prefix: 'APP', source: { APP_ENV: 'dev', APP_OTHER: 'x' } };
+    const options = { mode: 'unix', env, schema: { env: {} } };
+
+    assert.deepStrictEqual(parse([], { ...options, unknown: 'strict' }), asResult({ env: 'dev' }));
+    assert.deepStrictEqual(parse([], options), asResult({ env: 'dev', other: 'x' }));
+  });
+
+  it('should throw a "TypeError" when "unknown" is invalid', () => {
+    assert.throws(() => parse([], { unknown: 'loose' }), THROWS_ERRORS_MESSAGES.INVALID_UNKNOWN);
+  });
+
+  it('should throw a "TypeError" when "config" is invalid', () => {
+    assert.throws(() => parse([], { config: true }), THROWS_ERRORS_MESSAGES.INVALID_CONFIG);
+    assert.throws(
+      () => parse([], { config: { read: 'fs' } }),
+      THROWS_ERRORS_MESSAGES.INVALID_CONFIG,
+    );
+  });
+
+  it('should throw a "TypeError" when "help" is invalid', () => {
+    assert.throws(() => parse([], { help: 'yes' }), THROWS_ERRORS_MESSAGES.INVALID_HELP);
+    assert.throws(
+      () => parse(['--help'], { help: { write: 'stdout' } }),
+      THROWS_ERRORS_MESSAGES.INVALID_HELP,
+    );
+  });
+
+  it('should print the completions of the last argument on "--get-completions"', () => {
+    const printed = [];
+    const schema = {
+      env: { choices: ['dev', 'prod'], alias: 'e', description: 'Target' },
+      region: { complete: (typed, words) => [`${typed}-${words.length}`, 'eu-west', 'us-east'] },
+      verbose: { type: 'boolean' },
+    };
+    const options = {
+      mode: 'unix',
+      schema,
+      help: true,
+      completion: { write: text => printed.push(text) },
+    };
+    const complete = (...words) => {
+      printed.length = 0;
+      assert.deepStrictEqual(
+        parse(['--get-completions', ...words], options),
+        asResult({
+          completions: true,
+        }),
+      );
+      return printed.join('');
+    };
+
+    assert.strictEqual(
+      complete('--'),
+      '--env\tTarget\n--region\n--verbose\n--help\tShow this help text\n',
+    );
+    assert.strictEqual(
+      complete('-'),
+      '--env\tTarget\n--region\n--verbose\n-e\tTarget\n--help\tShow this help text\n',
+    );
+    assert.strictEqual(complete('--env', ''), 'dev\nprod\n');
+    assert.strictEqual(complete('-e', 'p'), 'prod\n');
+    assert.strictEqual(complete('--env=d'), '--env=dev\n');
+    assert.strictEqual(complete('--region', 'eu'), 'eu-2\neu-west\n');
+    assert.strictEqual(complete('--verbose', ''), '');
+  });
+
+  it('should complete the "name=" forms of the options in "simple" mode', () => {
+    const printed = [];
+    const schema = { env: { choices: ['dev', 'prod'] }, port: { type: 'integer' } };
+    const completion = { write: text => printed.push(text) };
+    parse(['--get-completions', 'e'], { schema, completion });
+    parse(['--get-completions', 'env=p'], { schema, completion });
+    assert.deepStrictEqual(printed, ['env=\n', 'env=prod\n']);
+  });
+
+  it('should leave "--get-completions" alone when "completion" is disabled', () => {
+    assert.deepStrictEqual(
+      parse(['--get-completions'], { mode: 'unix' }),
+      asResult({
+        get_completions: true,
+      }),
+    );
+  });
+
+  it('should throw a "TypeError" when "completion" is invalid', () => {
+    assert.throws(
+      () => parse([], { completion: 'bash' }),
+      THROWS_ERRORS_MESSAGES.INVALID_COMPLETION,
+    );
+    assert.throws(
+      () => parse(['--get-completions', ''], { completion: { write: 'stdout' } }),
+      THROWS_ERRORS_MESSAGES.INVALID_COMPLETION,
+    );
+  });
+});
+
+describe('safeParse', () => {
+  const options = {
+    mode: 'unix',
+    maxPositionals: 0,
+    schema: {
+      port: { type: 'integer', required: true },
+      env: { choices: ['dev', 'prod'] },
+      retries: { type: 'integer', default: 3 },
+    },
+  };
+
+  it('should return the parsed object when every argument is valid', () => {
+    assert.deepStrictEqual(safeParse(['--port', '80', '--env', 'dev'], options), {
+      success: true,
+      data: asResult({ port: 80, env: 'dev', retries: 3 }),
+      errors: [],
+    });
+  });
+
+  it('should collect every problem instead of stopping at the first', () => {
+    const { success, data, errors } = safeParse(['--port', 'x', '--env', 'qa', 'extra'], options);
+
+    assert.strictEqual(success, false);
+    assert.deepStrictEqual(data, asResult({ env: 'qa', retries: 3, _: ['extra'] }));
+    assert.deepStrictEqual(
+      errors.map(({ name, code, token, index }) => ({ name, code, token, index })),
+      [
+        { name: 'ArgvParseError', code: 'ERR_TOO_MANY_POSITIONALS', token: 'extra', index: 4 },
+        { name: 'ArgvParseError', code: 'ERR_INVALID_VALUE', token: '--port', index: 0 },
+        { name: 'ArgvParseError', code: 'ERR_INVALID_CHOICE', token: '--env', index: 2 },
+      ],
+    );
+  });
+
+  it('should report every malformed argument', () => {
+    const { errors } = safeParse(['--a', 'b=1', '---c'], { strict: true });
+    assert.deepStrictEqual(
+      errors.map(({ code, index }) => [code, index]),
+      [
+        ['ERR_INVALID_FORMAT', 0],
+        ['ERR_INVALID_FORMAT', 2],
+      ],
+    );
+  });
+
+  it('should report a missing required option', () => {
+    const { success, errors } = safeParse([], options);
+    assert.strictEqual(success, false);
+    assert.deepStrictEqual(
+      errors.map(({ message }) => message),
+      ['The "port" option is required'],
+    );
+  });
+
+  it('should throw the first error it reports from "parse"', () => {
+    const argv = ['--port', 'x', '--env', 'qa'];
+    assert.throws(() => parse(argv, options), safeParse(argv, options).errors[0]);
+  });
+
+  it('should throw a "TypeError" when the arguments or settings are invalid', () => {
+    assert.throws(() => safeParse('--port'), THROWS_ERRORS_MESSAGES.INVALID_ARGV_TYPE);
+    assert.throws(() => safeParse([], { config: true }), THROWS_ERRORS_MESSAGES.INVALID_CONFIG);
+  });
+});
+
+describe('parse with hostile arguments', () => {
+  const members = Object.getOwnPropertyNames(Object.prototype);
+
+  /**
+   * Checks that `Object.prototype` has the members it had before parsing and
+   * that no key leaked into a new object.
+   *
+   * @private
+   * @function assertUntouched
+   * @returns {void}
+   * @example
+   * ```js
+   * assertUntouched(); // passes while Object.prototype is intact
+   * ```
+   */
+  const assertUntouched = () => {
+    assert.deepStrictEqual(Object.getOwnPropertyNames(Object.prototype), members);
+    assert.strictEqual({}.polluted, undefined);
+    assert.strictEqual(typeof {}.toString, 'function');
+  };
+
+  it('should reject reserved keys in option names without touching "Object.prototype"', () => {
+    const argv = [
+      '--__proto__.polluted=1',
+      '--a.__proto__.polluted=1',
+      '--constructor.prototype.polluted=1',
+      '--servers[0].constructor.prototype.polluted=1',
+    ];
+    const { success, data, errors } = safeParse(argv, { mode: 'unix', keyCase: 'camelcase' });
+
+    assert.strictEqual(success, false);
+    assert.deepStrictEqual(
+      errors.map(({ code, index }) => ({ code, index })),
+      [
+        { code: 'ERR_UNSAFE_KEY', index: 0 },
+        { code: 'ERR_UNSAFE_KEY', index: 1 },
+        { code: 'ERR_UNSAFE_KEY', index: 2 },
+        { code: 'ERR_UNSAFE_KEY', index: 3 },
+      ],
+    );
+    assert.deepStrictEqual(data, asResult({}));
+    assertUntouched();
+  });
+
+  it('should build results with a "null" prototype that hold any other key', () => {
+    const argv = ['--to-string=a', '--value-of=b', '--has-own-property', '--db.is-prototype-of=1'];
+    const result = parse(argv, { mode: 'unix', keyCase: 'camelcase' });
+
+    assert.deepStrictEqual(
+      result,
+      asResult({ toString: 'a', valueOf: 'b', hasOwnProperty: true, db: { isPrototypeOf: 1 } }),
+    );
+    assert.strictEqual(Object.getPrototypeOf(result), null);
+    assert.strictEqual(Object.getPrototypeOf(result.db), null);
+    assertUntouched();
+  });
+
+  it('should throw an "ArgvParseError" naming the option and the reserved key', () => {
+    assert.throws(() => parse(['constructor=x']), {
+      name: 'ArgvParseError',
+      message: 'The "constructor" option uses the reserved "constructor" key',
+      code: 'ERR_UNSAFE_KEY',
+      token: 'constructor=x',
+      index: 0,
+    });
+    assert.throws(() => parse(['--x'], { mode: 'unix', keyCase: () => '__proto__' }), {
+      code: 'ERR_UNSAFE_KEY',
+    });
+    assertUntouched();
+  });
+
+  it('should reject reserved keys nested in JSON values, config files and the environment', () => {
+    const files = {
+      'proto.json': '{ "__proto__": { "polluted": 1 } }',
+      'nested.json': '{ "list": [{ "constructor": { "prototype": { "polluted": 1 } } }] }',
+      'proto.ini': '[__proto__]\npolluted = 1\n',
+    };
+    const config = { read: file => files[file] };
+    const messages = argv =>
+      safeParse(argv, { mode: 'unix', config, coerce: { json: true } }).errors.map(
+        ({ message }) => message,
+      );
+
+    assert.deepStrictEqual(messages(['--meta={"__proto__":{"polluted":1}}']), [
+      'The "meta" option uses the reserved "__proto__" key',
+    ]);
+    assert.deepStrictEqual(messages(['--config=proto.json']), [
+      'The "__proto__.polluted" option uses the reserved "__proto__" key',
+    ]);
+    assert.deepStrictEqual(messages(['--config=nested.json']), [
+      'The "list" option uses the reserved "constructor" key',
+    ]);
+    assert.deepStrictEqual(messages(['--config=proto.ini']), [
+      'The "__proto__.polluted" option uses the reserved "__proto__" key',
+    ]);
+
+    const env = { prefix: 'APP', source: { APP_CONSTRUCTOR__PROTOTYPE: '1' } };
+    assert.throws(() => parse([], { env }), { code: 'ERR_UNSAFE_KEY' });
+    assertUntouched();
+  });
+
+  it('should keep reserved words that are values rather than keys', () => {
+    assert.deepStrictEqual(
+      parse(['--name=__proto__', '--tag', 'constructor'], { mode: 'unix' }),
+      asResult({
+        name: '__proto__',
+        tag: 'constructor',
+      }),
+    );
+    assertUntouched();
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * @author Victor Giovanni Beltrán Rodríguez
+ * @file This file contains the test for the `tokenize` function.
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+// » IMPORT MODULES
+import parseCommand from '#command';
+import tokenize from '#tokenize';
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * This constant defines the errors that can be thrown by
+ * the `tokenize` function.
+ *
+ * @private
+ * @constant {object} THROWS
+ */
+const THROWS_ERRORS_MESSAGES = {
+  INVALID_LINE_TYPE: {
+    name: 'TypeError',
+    message: 'The "line" parameter must be a string',
+  },
+  UNTERMINATED_SINGLE_QUOTE: {
+    name: 'ArgvParseError',
+    code: 'ERR_UNTERMINATED_QUOTE',
+    message: 'The single quote at position 7 is not closed',
+    token: "'v1 beta",
+    index: 6,
+  },
+  UNTERMINATED_DOUBLE_QUOTE: {
+    name: 'ArgvParseError',
+    code: 'ERR_UNTERMINATED_QUOTE',
+    message: 'The double quote at position 14 is not closed',
+    token: '"fix \\" login',
+    index: 13,
+  },
+  UNTERMINATED_ESCAPE: {
+    name: 'ArgvParseError',
+    code: 'ERR_UNTERMINATED_ESCAPE',
+    message: 'The backslash at position 11 escapes no character',
+    token: '\\',
+    index: 10,
+  },
+};
+
+/**
+ * Copies an expected result into objects with a `null` prototype, the way
+ * `parse()` builds them, so that `deepStrictEqual` compares the prototypes.
+ *
+ * @private
+ * @function asResult
+ * @param {*} value - The expected value.
+ * @returns {*} The value, its plain objects copied to `null`-prototype objects.
+ * @example
+ * ```js
+ * Object.getPrototypeOf(asResult({ db: { port: 5432 } }).db) // returns null
+ * ```
+ */
+const asResult = value => {
+  if (Array.isArray(value)) return value.map(asResult);
+  if (Object.getPrototypeOf(value ?? 0) !== Object.prototype) return value;
+
+  const entries = Object.entries(value).map(([key, item]) => [key, asResult(item)]);
+  return Object.assign(Object.create(null), Object.fromEntries(entries));
+};
+
+// ━━ TEST ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+describe('tokenize', () => {
+  it('should split the line on unquoted blanks', () => {
+    assert.deepStrictEqual(tokenize('  deploy\t--env prod\n--force  '), [
+      'deploy',
+      '--env',
+      'prod',
+      '--force',
+    ]);
+    assert.deepStrictEqual(tokenize(' \t '), []);
+  });
+
+  it('should keep the text of single quotes as it is', () => {
+    assert.deepStrictEqual(tokenize(`echo 'a  "b" \\n $HOME'`), ['echo', 'a  "b" \\n $HOME']);
+  });
+
+  it('should read the escapes of double quotes and keep other backslashes', () => {
+    assert.deepStrictEqual(tokenize(`"say \\"hi\\" \\\\ \\$HOME" "C:\\dir" "a\\\nb"`), [
+      'say "hi" \\ $HOME',
+      'C:\\dir',
+      'ab',
+    ]);
+  });
+
+  it('should read backslash escapes and line continuations outside quotes', () => {
+    assert.deepStrictEqual(tokenize(`a\\ b \\'c\\" d\\\ne \\\n f`), ['a b', `'c"`, 'de', 'f']);
+  });
+
+  it('should join adjacent segments into one argument', () => {
+    assert.deepStrictEqual(tokenize(`--tag='v1 beta' --msg="fix "'it'\\! "" ''`), [
+      '--tag=v1 beta',
+      '--msg=fix it!',
+      '',
+      '',
+    ]);
+  });
+
+  it('should leave expansions, globs, comments and operators as plain text', () => {
+    assert.deepStrictEqual(tokenize('ls $HOME/*.js # all | sort > out'), [
+      'ls',
+      '$HOME/*.js',
+      '#',
+      'all',
+      '|',
+      'sort',
+      '>',
+      'out',
+    ]);
+  });
+
+  it('should give arguments that feed straight into the parser', () => {
+    const line = `deploy --msg "fix login" --tag='v1 beta'`;
+    assert.deepStrictEqual(
+      parseCommand(tokenize(line), { mode: 'unix', commands: { deploy: {} } }),
+      {
+        command: ['deploy'],
+        options: asResult({ msg: 'fix login', tag: 'v1 beta' }),
+        handler: undefined,
+      },
+    );
+  });
+
+  it('should throw an "ArgvParseError" with the position of an unterminated quote or escape', () => {
+    assert.throws(
+      () => tokenize(`--tag='v1 beta`),
+      THROWS_ERRORS_MESSAGES.UNTERMINATED_SINGLE_QUOTE,
+    );
+    assert.throws(
+      () => tokenize(`deploy --msg "fix \\" login`),
+      THROWS_ERRORS_MESSAGES.UNTERMINATED_DOUBLE_QUOTE,
+    );
+    assert.throws(() => tokenize('deploy -f \\'), THROWS_ERRORS_MESSAGES.UNTERMINATED_ESCAPE);
+  });
+
+  it('should throw a "TypeError" when the line is not a string', () => {
+    assert.throws(() => tokenize(['deploy']), THROWS_ERRORS_MESSAGES.INVALID_LINE_TYPE);
+  });
+});